@@ -1,8 +1,23 @@
 import WebGLVis from "epiviz.gl";
 import { select } from "d3-selection";
 import { scaleLinear } from "d3-scale";
+import { bisectRight } from "d3-array";
 import { axisBottom, axisLeft, axisRight, axisTop } from "d3-axis";
-import { isObject, getMinMax, parseMargins, getTextWidth } from "./utils";
+import {
+  isObject,
+  isArrayOrTypedArray,
+  getMinMax,
+  parseMargins,
+  getTextWidth,
+  escapeHtml,
+  packedColorToHex,
+} from "./utils";
+import { createColorScale } from "./colorScale";
+import {
+  parseDenseMatrix,
+  getMatrixCoordinates,
+  parseSparseMatrix,
+} from "./matrix";
 import {
   DEFAULT_COLUMN_LABEL_FONT_SIZE,
   DEFAULT_COLUMN_LABEL_SLINT_ANGLE,
@@ -19,8 +34,72 @@ import {
   INTENSITY_LEGEND_IDENTIFIER,
   COLUMN_GROUPING_LEGEND_IDENTIFIER,
   ROW_GROUPING_LEGEND_IDENTIFIER,
+  DEFAULT_SPARSE_ZERO_COLOR,
+  DEFAULT_DENDROGRAM_SIZE_IN_PX,
+  ROW_DENDROGRAM_IDENTIFIER,
+  COLUMN_DENDROGRAM_IDENTIFIER,
+  SORT_ASCENDING_INDICATOR,
+  SORT_DESCENDING_INDICATOR,
+  ANNOTATION_TRACK_GAP_IN_PX,
+  ANNOTATION_FONT_SIZE,
+  ANNOTATION_LEGEND_ROW_HEIGHT_IN_PX,
+  ANNOTATION_LEGEND_GRADIENT_WIDTH_IN_PX,
+  ROW_ANNOTATION_IDENTIFIER,
+  COLUMN_ANNOTATION_IDENTIFIER,
+  ANNOTATION_LEGEND_IDENTIFIER,
+  PANEL_TITLE_SIZE_IN_PX,
+  PLOT_TITLE_SIZE_IN_PX,
+  PLOT_SUBTITLE_SIZE_IN_PX,
+  AXIS_TITLE_SIZE_IN_PX,
+  PLOT_TITLE_FONT_SIZE,
+  PLOT_SUBTITLE_FONT_SIZE,
+  AXIS_TITLE_FONT_SIZE,
+  PLOT_TITLE_IDENTIFIER,
+  ROW_TITLE_IDENTIFIER,
+  COLUMN_TITLE_IDENTIFIER,
+  ROW_PANEL_TITLES_IDENTIFIER,
+  COLUMN_PANEL_TITLES_IDENTIFIER,
+  MARGINAL_PLOT_IDENTIFIER,
+  CROSSHAIR_IDENTIFIER,
+  DEFAULT_CROSSHAIR_COLOR,
+  DROP_INDICATOR_IDENTIFIER,
+  DEFAULT_DROP_INDICATOR_COLOR,
+  LABEL_DRAG_THRESHOLD_IN_PX,
+  DEFAULT_TOOLTIP_FIELDS,
+  TOOLTIP_FIELDS,
+  DEFAULT_RESIZE_DEBOUNCE_IN_MS,
+  DEFAULT_VIEWPORT_ANIMATION_DURATION_IN_MS,
+  LABEL_GAP_IN_PX,
+  SEARCH_BOX_IDENTIFIER,
+  SEARCH_BOX_MAX_SUGGESTIONS,
+  LABEL_SEARCH_CONTEXT,
+  LABEL_FLASH_DURATION_IN_MS,
+  DEFAULT_LABEL_FLASH_COLOR,
 } from "./constants";
+import { prepareAnnotationTrack } from "./annotations";
+import {
+  formatLabels,
+  getLabelSpacing,
+  getLabelStride,
+  getLabelWidths,
+  matchLabels,
+  prepareLabelLayout,
+} from "./labels";
+import { MARGINAL_PLOT_SIDES, prepareMarginalPlot } from "./marginals";
+import {
+  getGridLayout,
+  getPositions,
+  invertOrder,
+  moveCoordinates,
+  moveToBoundary,
+  sortOrder,
+  toCurrentOrder,
+} from "./order";
+import { clampRange, constrainViewport } from "./viewport";
+import { DISTANCE_METRICS, LINKAGE_METHODS } from "./clustering/hclust";
 import Tooltip from "./Tooltip";
+import EventEmitter, { PLOT_EVENTS } from "./EventEmitter";
+import { appendTrackMarks, createSvg, formatData, svgToPng } from "./export";
 
 /**
  * Base class for all matrix like layout plots.
@@ -63,6 +142,78 @@ class BaseGL {
       ylabels: null,
     };
 
+    // matrix input, set through `setMatrix` or `setSparseMatrix`
+    this.matrix = null;
+
+    // original position of each row/column in the order they are displayed,
+    // null until reordered through `setRowOrder`, `setColumnOrder` or `cluster`
+    this.rowOrder = null;
+    this.columnOrder = null;
+
+    // rows/columns split into panels, set through `setSplit`
+    this.split = { row: null, column: null };
+    this.splitOptions = { gap: 1, showTitles: true };
+
+    // rows sorted by the values of a column, set through `sortRows`
+    this.sortState = null;
+
+    // dendrograms, set through `cluster`
+    this.rowDendrogram = null;
+    this.columnDendrogram = null;
+    this.dendrogramOptions = {
+      rowPosition: "left",
+      columnPosition: "top",
+      size: DEFAULT_DENDROGRAM_SIZE_IN_PX,
+      color: "#555",
+      strokeWidth: 1,
+    };
+
+    // annotation tracks, set through `setAnnotationTracks`
+    this.annotationTracks = { row: [], column: [] };
+    this.annotationOptions = {
+      rowPosition: "left",
+      columnPosition: "top",
+      legendDomElement: null,
+      showLegends: true,
+    };
+
+    // row and column under the cursor, emphasized once `enableCrosshair` is called
+    this.crosshairEnabled = false;
+    this.crosshairOptions = {
+      mode: "outline",
+      color: DEFAULT_CROSSHAIR_COLOR,
+      dimOpacity: 0.6,
+    };
+    this.crosshair = null;
+
+    // tooltip of the cell under the cursor, see `setTooltipOptions`
+    this.tooltipOptions = {
+      enabled: true,
+      formatter: null,
+      fields: DEFAULT_TOOLTIP_FIELDS,
+      distanceThreshold: 0,
+      container: null,
+      pinOnClick: false,
+    };
+    this._isCellTooltipVisible = false;
+
+    // which labels are shown, see `setLabelLayout`
+    this.labelLayout = {
+      row: prepareLabelLayout({}),
+      column: prepareLabelLayout({}),
+    };
+
+    // limits of pan and zoom, see `setZoomOptions`
+    this.zoomOptions = {
+      axis: "both",
+      minZoom: 1,
+      maxZoom: null,
+      clampToData: false,
+    };
+
+    // summaries of the rows/columns by side, set through `setMarginalPlots`
+    this.marginalPlots = {};
+
     // Plot domain
     this.xAxisRange = null;
     this.yAxisRange = null;
@@ -90,16 +241,39 @@ class BaseGL {
       columnLabelSlintAngle: DEFAULT_COLUMN_LABEL_SLINT_ANGLE,
       rowLabelFontSize: DEFAULT_ROW_LABEL_FONT_SIZE,
       columnLabelFontSize: DEFAULT_COLUMN_LABEL_FONT_SIZE,
+      rowLabelPosition: "left",
+      columnLabelPosition: "top",
+      rowLabelMaxWidth: null,
+      columnLabelMaxWidth: null,
+      labelFormatter: null,
+      labelStyle: null,
+    };
+
+    // titles drawn in the margins, see `setTitles`
+    this.titles = {
+      title: null,
+      subtitle: null,
+      rowTitle: null,
+      columnTitle: null,
     };
 
     // private properties
     this._renderCount = 0;
 
+    // full text of the labels, and the text and style set on each label of the specification
+    this._labelTexts = {};
+    this._labelFormats = new WeakMap();
+
+    // listeners added through `on` and `once`
+    this._emitter = new EventEmitter();
+
     // add events
-    var self = this;
     this.plot.addEventListener("onSelectionEnd", (e) => {
       e.preventDefault();
       const sdata = e.detail.data;
+      this.selectedIndices = sdata?.selection?.indices
+        ? [...sdata.selection.indices]
+        : [];
       if (
         this.highlightEnabled &&
         sdata &&
@@ -108,43 +282,170 @@ class BaseGL {
         this.highlightIndices(sdata.selection.indices, null, true);
       }
 
-      self.selectionCallback(e.detail.data);
+      this._emit("selection", e.detail.data);
     });
 
-    this.plot.addEventListener("zoomIn", (e) => {
-      const viewport = e.detail.viewport;
+    ["zoomIn", "zoomOut", "pan"].forEach((type) =>
+      this.plot.addEventListener(type, (e) => {
+        const viewport = e.detail.viewport;
 
-      this.viewport = viewport;
-      this.renderRowGroupingLegend();
-      this.renderColumnGroupingLegend();
+        // the user takes over from an animated viewport change
+        this._cancelViewportAnimation();
+
+        // epiviz.gl draws the viewport once the listeners return
+        const { xRange, yRange } = this._constrainViewport(viewport);
+        this.plot.setViewOptions({
+          currentXRange: xRange,
+          currentYRange: yRange,
+        });
+        this.viewport = this.plot.mouseReader.getViewport();
+        this._renderViewportLayers();
+
+        this._emit("viewportChange", this.viewport);
+      })
+    );
+
+    // the cursor left the plot, no cell is hovered anymore
+    this._onMouseLeave = () => {
+      this._setCrosshair(null);
+      this._hideCellTooltip();
+    };
+    this.elem.addEventListener("mouseleave", this._onMouseLeave);
+
+    this.highlightedIndices = [];
+    this.indexStates = {};
+    this.selectedIndices = [];
 
-      this.viewportChangeCallback(viewport);
+    this.tooltipInstance = new Tooltip(document.body);
+
+    this._attachPointAndLabelEventListeners();
+  }
+
+  /**
+   * Listen to the cells and labels of epiviz.gl.
+   * Attached once, when the plot is created, so re-rendering
+   * does not add listeners.
+   *
+   * @memberof BaseGL
+   */
+  _attachPointAndLabelEventListeners() {
+    this.plot.addEventListener("pointHovered", (e) => {
+      const hdata = e.detail.data;
+      e.preventDefault();
+
+      if (this.crosshairEnabled) {
+        const index = hdata?.indices?.length ? hdata.indices[0] : null;
+        this._setCrosshair(
+          index === null
+            ? null
+            : { row: this.input.y[index], column: this.input.x[index] }
+        );
+      }
+
+      this._updateCellTooltip(hdata);
+
+      this._emit("hover", hdata);
     });
 
-    this.plot.addEventListener("zoomOut", (e) => {
-      const viewport = e.detail.viewport;
+    this.plot.addEventListener("pointClicked", (e) => {
+      e.preventDefault();
+
+      const hdata = e.detail.data;
 
-      this.viewport = viewport;
-      this.renderRowGroupingLegend();
-      this.renderColumnGroupingLegend();
+      // Only run this code if hi
+      if (hdata && hdata.indices.length > 0 && this.nrows) {
+        const index = hdata.indices[0]; // handle only one point
+        const col = this.input.x[index];
+        const row = this.input.y[index];
+
+        // Invert row, considering X axis starts from bottom up
+        const rowInverted = this.nrows - 1 - row;
+        hdata["row"] = rowInverted;
+        hdata["col"] = col;
+      }
+
+      if (this.highlightEnabled && hdata && hdata.indices.length > 0) {
+        const index = hdata.indices[0];
+        const shouldHighlight = !this.indexStates[index]; // reverse the current state
+        this.indexStates[index] = shouldHighlight;
+        this.highlightIndices([index], shouldHighlight);
+      }
+
+      if (this.tooltipOptions.pinOnClick) {
+        const content = this._getCellTooltipContent(hdata);
+        if (content) {
+          this.tooltipInstance.pinTooltip(
+            content,
+            hdata.event.clientX,
+            hdata.event.clientY
+          );
+        }
+      }
 
-      this.viewportChangeCallback(viewport);
+      this._emit("click", hdata);
     });
 
-    this.plot.addEventListener("pan", (e) => {
-      const viewport = e.detail.viewport;
+    this.plot.addEventListener("labelClicked", (e) => {
+      e.preventDefault();
 
-      this.viewport = viewport;
-      this.renderRowGroupingLegend();
-      this.renderColumnGroupingLegend();
+      // the click ending a label drag does not sort or highlight
+      if (this._labelDragEnded) return;
+
+      // with sorting enabled, clicking a column label sorts the rows by their values
+      if (
+        this.sortingEnabled &&
+        isArrayOrTypedArray(this.state["value"]) &&
+        e.detail?.labelObject &&
+        e.detail.labelObject.type === "row"
+      ) {
+        this._cycleSort(this._getOrder("column")[e.detail.labelObject.index]);
+        return;
+      }
 
-      this.viewportChangeCallback(viewport);
+      if (this.highlightEnabled && e && e.detail && e.detail.labelObject) {
+        const type = e.detail.labelObject.type;
+        const index = e.detail.labelObject.index;
+        let indices = [];
+        if (type === "column") {
+          indices = this._getIndicesForRow(index);
+        } else if (type === "row") {
+          indices = this._getIndicesForColumn(index);
+        }
+
+        // Decide whether to highlight or unhighlight
+        const shouldHighlight = indices.some(
+          (index) => !this.indexStates[index]
+        );
+        indices.forEach((index) => (this.indexStates[index] = shouldHighlight));
+
+        this.highlightIndices(indices, shouldHighlight);
+      }
     });
 
-    this.highlightedIndices = [];
-    this.indexStates = {};
+    this.plot.addEventListener("labelHovered", (e) => {
+      const hoveredIndex = e.detail.labelObject.index;
+      const labelType = e.detail.labelObject.type;
+      e.preventDefault();
+
+      // the full text, labels may be truncated
+      const labelAxis = labelType === "row" ? "column" : "row";
+      this.tooltipInstance.updateTooltip(
+        this._labelTexts[labelAxis]?.[hoveredIndex] ??
+          (labelType === "row"
+            ? this.input.xlabels[hoveredIndex]
+            : this.input.ylabels[hoveredIndex]),
+        e.detail.event.clientX,
+        e.detail.event.clientY
+      );
+
+      this._emit("labelHovered", e.detail);
+    });
 
-    this.tooltipInstance = new Tooltip();
+    this.plot.addEventListener("labelUnhovered", (e) => {
+      e.preventDefault();
+      this.tooltipInstance.hideTooltip();
+      this._emit("labelUnhovered", e.detail);
+    });
   }
 
   /**
@@ -159,6 +460,20 @@ class BaseGL {
     throw `Method: generateSpec() not implemented, can't use Heatmap directly, use either dotplot, rectplot or tickplot`;
   }
 
+  /**
+   * Generate the position of each cell along the x and y axis, as used in the
+   * specification. By default the input coordinates are used as-is.
+   *
+   * Extensions that transform the coordinates should override this method,
+   * it is also used to update the plot when rows or columns are reordered.
+   *
+   * @return {object} object containing the x and y positions
+   * @memberof BaseGL
+   */
+  generatePositions() {
+    return { x: this.input.x, y: this.input.y };
+  }
+
   /**
    * Internal method that defines the spec for each encoding
    *
@@ -168,7 +483,7 @@ class BaseGL {
    * @memberof BaseGL
    */
   _generateSpecForEncoding(spec, attribute, value) {
-    if (Array.isArray(value)) {
+    if (isArrayOrTypedArray(value)) {
       if (
         value.length !==
         spec.defaultData[Object.keys(spec.defaultData)[0]].length
@@ -196,46 +511,68 @@ class BaseGL {
       rowLabelsSvgYOffset,
       columnLabelsSvgXOffset,
       columnLabelsSvgYOffset,
-      rowLabelMaxCharacters,
-      columnLabelMaxCharacters,
       rowLabelSlintAngle,
       columnLabelSlintAngle,
       rowLabelFontSize,
       columnLabelFontSize,
     } = this.labelOptions;
+    const rowSides = this._getLabelSides("row");
+    const columnSides = this._getLabelSides("column");
 
     let labels = null;
     let maxWidth = 0;
 
+    // center of each label along the axis, leaving the gaps between panels
+    // the slots of a split axis, computed once for all of its labels
+    const layouts = {
+      row: this.split.row && this._getGridLayout("row"),
+      column: this.split.column && this._getGridLayout("column"),
+    };
+    const labelCenter = (axis, index, length) => {
+      if (!layouts[axis]) return (2 * index + 1) / length;
+
+      const { slots, total } = layouts[axis];
+      return (2 * slots[index] + 1) / total;
+    };
+
+    // widths of the labels, measured in bulk
+    const maxTextWidth = (formatted, fontSize) =>
+      getLabelWidths(
+        formatted.map(({ text, style }) => ({
+          text,
+          "font-size": style["font-size"],
+        })),
+        fontSize
+      ).reduce((max, w) => Math.max(max, w), 0);
+
     if ("xlabels" in this.input && this.input["xlabels"] !== null) {
       labels = [];
       const xlabels_len = this.input["xlabels"].length;
-      for (let ilx = 0; ilx < xlabels_len; ilx++) {
-        const truncatedLabel =
-          this.input["xlabels"][ilx].length > columnLabelMaxCharacters
-            ? this.input["xlabels"][ilx].substring(
-                0,
-                columnLabelMaxCharacters - 3
-              ) + "..."
-            : this.input["xlabels"][ilx];
-        const truncatedLabelWidth = getTextWidth(
-          truncatedLabel,
-          columnLabelFontSize
-        );
+      const formatted = this._formatLabels("column");
+      maxWidth = Math.max(
+        maxWidth,
+        maxTextWidth(formatted, columnLabelFontSize)
+      );
 
-        maxWidth = Math.max(maxWidth, truncatedLabelWidth);
-        labels.push({
-          x: columnLabelsSvgXOffset + (2 * ilx + 1) / xlabels_len,
-          y: columnLabelsSvgYOffset,
-          type: "row",
-          index: ilx,
-          text: truncatedLabel,
-          fixedY: true,
-          "text-anchor": "center",
-          "font-size": columnLabelFontSize,
-          transformRotate: columnLabelSlintAngle,
-        });
-      }
+      // labels below the plot hang from the offset mirrored across the plot
+      columnSides.forEach((side) => {
+        for (let ilx = 0; ilx < xlabels_len; ilx++) {
+          const label = {
+            x: columnLabelsSvgXOffset + labelCenter("column", ilx, xlabels_len),
+            y:
+              side === "top" ? columnLabelsSvgYOffset : -columnLabelsSvgYOffset,
+            type: "row",
+            index: ilx,
+            fixedY: true,
+            "text-anchor": "center",
+            ...(side === "bottom" && { "dominant-baseline": "hanging" }),
+            "font-size": columnLabelFontSize,
+            transformRotate: columnLabelSlintAngle,
+          };
+          this._setLabelFormat(label, formatted[ilx]);
+          labels.push(label);
+        }
+      });
     }
 
     const topMarginToAccountForLabels = maxWidth + LABELS_MARGIN_BUFFER_IN_PX;
@@ -245,31 +582,26 @@ class BaseGL {
         labels = [];
       }
       const ylabels_len = this.input["ylabels"].length;
-      for (let ily = 0; ily < ylabels_len; ily++) {
-        const truncatedLabel =
-          this.input["ylabels"][ily].length > rowLabelMaxCharacters
-            ? this.input["ylabels"][ily].substring(
-                0,
-                rowLabelMaxCharacters - 3
-              ) + "..."
-            : this.input["ylabels"][ily];
-        const truncatedLabelWidth = getTextWidth(
-          truncatedLabel,
-          rowLabelFontSize
-        );
-        maxWidth = Math.max(maxWidth, truncatedLabelWidth);
-        labels.push({
-          x: rowLabelsSvgXOffset,
-          y: rowLabelsSvgYOffset + (2 * ily + 1) / ylabels_len,
-          type: "column",
-          index: ily,
-          text: truncatedLabel,
-          fixedX: true,
-          "text-anchor": "end",
-          "font-size": rowLabelFontSize,
-          transformRotate: rowLabelSlintAngle,
-        });
-      }
+      const formatted = this._formatLabels("row");
+      maxWidth = Math.max(maxWidth, maxTextWidth(formatted, rowLabelFontSize));
+
+      // labels on the right start at the offset mirrored across the plot
+      rowSides.forEach((side) => {
+        for (let ily = 0; ily < ylabels_len; ily++) {
+          const label = {
+            x: side === "left" ? rowLabelsSvgXOffset : -rowLabelsSvgXOffset,
+            y: rowLabelsSvgYOffset + labelCenter("row", ily, ylabels_len),
+            type: "column",
+            index: ily,
+            fixedX: true,
+            "text-anchor": side === "left" ? "end" : "start",
+            "font-size": rowLabelFontSize,
+            transformRotate: rowLabelSlintAngle,
+          };
+          this._setLabelFormat(label, formatted[ily]);
+          labels.push(label);
+        }
+      });
     }
 
     const leftMarginToAccountForLabels = maxWidth + LABELS_MARGIN_BUFFER_IN_PX;
@@ -280,12 +612,76 @@ class BaseGL {
 
     spec["margins"] = {
       ...spec["margins"],
-      top: `${topMarginToAccountForLabels}px`,
-      left: `${leftMarginToAccountForLabels}px`,
-      right: `${GROUPING_LEGEND_SIZE_IN_PX}px`,
+      top: columnSides.includes("top")
+        ? `${topMarginToAccountForLabels}px`
+        : spec["margins"].top,
+      bottom: columnSides.includes("bottom")
+        ? `${topMarginToAccountForLabels}px`
+        : spec["margins"].bottom,
+      left: rowSides.includes("left")
+        ? `${leftMarginToAccountForLabels}px`
+        : spec["margins"].left,
+      right: rowSides.includes("right")
+        ? `${leftMarginToAccountForLabels}px`
+        : `${GROUPING_LEGEND_SIZE_IN_PX}px`,
     };
   }
 
+  /**
+   * Format the labels of the rows or columns with `labelFormatter` and
+   * `labelStyle`, keeping their full text for the tooltip.
+   *
+   * @param {string} axis, either `row` or `column`
+   * @return {Array<object>} the `fullText`, truncated `text` and `style` of each label as displayed
+   * @memberof BaseGL
+   */
+  _formatLabels(axis) {
+    const formatted = formatLabels(
+      this.input[axis === "row" ? "ylabels" : "xlabels"],
+      {
+        axis,
+        order: this._getOrder(axis),
+        formatter: this.labelOptions.labelFormatter,
+        style: this.labelOptions.labelStyle,
+        maxCharacters: this.labelOptions[`${axis}LabelMaxCharacters`],
+        maxWidth: this.labelOptions[`${axis}LabelMaxWidth`],
+        fontSize: this.labelOptions[`${axis}LabelFontSize`],
+      }
+    );
+
+    this._labelTexts[axis] = formatted.map((label) => label.fullText);
+    return formatted;
+  }
+
+  /**
+   * Set the text and style of a label, removing the attributes of its previous style.
+   *
+   * @param {object} label, the label of the specification
+   * @param {object} formatted, its text and style, from `_formatLabels`
+   * @memberof BaseGL
+   */
+  _setLabelFormat(label, formatted) {
+    // null removes the attributes from the label
+    Object.keys(this._labelFormats.get(label)?.style || {}).forEach(
+      (key) => (label[key] = null)
+    );
+    Object.assign(label, formatted.style, { text: formatted.text });
+    this._labelFormats.set(label, formatted);
+  }
+
+  /**
+   * Sides of the plot where the labels of an axis are drawn.
+   *
+   * @param {string} axis, either `row` or `column`
+   * @return {Array<string>} `left` and/or `right` for rows, `top` and/or `bottom` for columns
+   * @memberof BaseGL
+   */
+  _getLabelSides(axis) {
+    const position = this.labelOptions[`${axis}LabelPosition`];
+    if (position !== "both") return [position];
+    return axis === "row" ? ["left", "right"] : ["top", "bottom"];
+  }
+
   /**
    * Calculate bounds for the visualization.
    *
@@ -323,6 +719,15 @@ class BaseGL {
       }
 
       this.input = { ...this.input, ...data };
+      this.matrix = null;
+      this.rowOrder = null;
+      this.columnOrder = null;
+      this.sortState = null;
+      this.split = { row: null, column: null };
+      this.marginalPlots = {};
+      this.selectedIndices = [];
+      this.rowDendrogram = null;
+      this.columnDendrogram = null;
 
       // calc min and max
       let xMinMax = getMinMax(this.input.x);
@@ -377,102 +782,1381 @@ class BaseGL {
   }
 
   /**
-   * Set the state of the visualization.
+   * Set the input data for the visualization from a dense matrix.
+   * x/y coordinates are derived from the layout of the matrix, and
+   * the values are used to derive the color (through the color scale,
+   * see `setState`) and size of each cell.
+   * A flat array or typed array is used without being copied,
+   * so cell indices follow the same `order` as the values.
    *
-   * @param {object} encoding, a set of attributes that modify the rendering
-   * @param {Array|number} encoding.size, an array of size for each x-y cell or a singular size to apply for all cells.
-   * @param {Array|number} encoding.color, an array of colors for each x-y cell or a singular color to apply for all cells.
-   * @param {Array|number} encoding.opacity, same as size, but sets the opacity for each cell.
-   * @param {Array|number} encoding.xgap, same as size, but sets the gap along x-axis.
-   * @param {Array|number} encoding.ygap, same as size, but sets the gap along y-axis.
-   * @param {Array} encoding.intensityLegendData - an array of objects containing the color, intensity and label for the legend.
-   * @param {Array} encoding.rowGroupingData - an array of objects containing the startIndex, endIndex, color and label for the row grouping.
-   * @param {Array} encoding.columnGroupingData - an array of objects containing the startIndex, endIndex, color and label for the column grouping.
+   * @param {object} matrix, dense matrix to set
+   * @param {Array<Array<number>>|Array<number>|TypedArray} matrix.values, either a nested array (one array per row) or a flat array/typed array.
+   * @param {?number} matrix.nrows, number of rows, required for a flat array.
+   * @param {?number} matrix.ncols, number of columns, required for a flat array.
+   * @param {?string} matrix.order, layout of a flat array, either `row-major` (default) or `column-major`.
+   * @param {?Array} matrix.xlabels, labels along the x-axis (one per column)
+   * @param {?Array} matrix.ylabels, labels along the y-axis (one per row)
    * @memberof BaseGL
+   * @example
+   * plot.setMatrix({
+   *   values: new Float32Array([1, 2, 3, 4, 5, 6]),
+   *   nrows: 2,
+   *   ncols: 3,
+   *   order: "row-major",
+   *   xlabels: ["c1", "c2", "c3"],
+   *   ylabels: ["r1", "r2"],
+   * });
    */
-  setState(encoding) {
-    if ("size" in encoding) {
-      // scale size between 5 - 20
-      // let tsize = encoding["size"];
-      // if (Array.isArray(encoding["size"])) {
-      //   let sMinMax = getMinMax(encoding["size"]);
-      //   tsize = encoding["size"].map(
-      //     (e) => 15 * ((e - sMinMax[0]) / (sMinMax[1] - sMinMax[0])) + 5
-      //   );
-      // }
-      this.state["size"] = encoding["size"];
+  setMatrix(matrix) {
+    if (!isObject(matrix) || !("values" in matrix)) {
+      throw `matrix must contain a values attribute`;
     }
 
-    if ("color" in encoding) {
-      this.state["color"] = encoding["color"];
-    }
+    const { values, nrows, ncols, order } = parseDenseMatrix(matrix);
 
-    if ("opacity" in encoding) {
-      this.state["opacity"] = encoding["opacity"];
+    if (matrix.xlabels && matrix.xlabels.length !== ncols) {
+      throw `length of xlabels not the same as the number of columns: needs to be ${ncols}`;
     }
 
-    if ("xgap" in encoding) {
-      this.state["xgap"] = encoding["xgap"];
+    if (matrix.ylabels && matrix.ylabels.length !== nrows) {
+      throw `length of ylabels not the same as the number of rows: needs to be ${nrows}`;
     }
 
-    if ("ygap" in encoding) {
-      this.state["ygap"] = encoding["ygap"];
+    this.setInput({
+      ...getMatrixCoordinates(nrows, ncols, order),
+      xlabels: matrix.xlabels || null,
+      ylabels: matrix.ylabels || null,
+    });
+
+    this.nrows = nrows;
+    this.ncols = ncols;
+    this.matrix = { values, nrows, ncols, order, sparse: false };
+
+    this.setState({ value: values, size: values });
+  }
+
+  /**
+   * Set the input data for the visualization from a sparse matrix.
+   * Only the stored cells are rendered, the rest of the matrix is
+   * filled with the `zeroColor` (see `setState`).
+   * Cell indices refer to the stored cells, explicit zeros included, in the order they are stored.
+   *
+   * @param {object} matrix, sparse matrix to set
+   * @param {string} matrix.format, storage format, one of `coo` (default), `csr` or `csc`.
+   * @param {number} matrix.nrows, number of rows in the matrix.
+   * @param {number} matrix.ncols, number of columns in the matrix.
+   * @param {Array|TypedArray} matrix.data, values of the stored cells.
+   * @param {?Array|TypedArray} matrix.row, row index of each stored cell (`coo` only).
+   * @param {?Array|TypedArray} matrix.col, column index of each stored cell (`coo` only).
+   * @param {?Array|TypedArray} matrix.indices, column (`csr`) or row (`csc`) index of each stored cell.
+   * @param {?Array|TypedArray} matrix.indptr, offsets into `indices` and `data` for each row (`csr`) or column (`csc`).
+   * @param {?Array} matrix.xlabels, labels along the x-axis (one per column)
+   * @param {?Array} matrix.ylabels, labels along the y-axis (one per row)
+   * @memberof BaseGL
+   * @example
+   * plot.setSparseMatrix({
+   *   format: "csr",
+   *   nrows: 3,
+   *   ncols: 3,
+   *   data: new Float32Array([1, 2, 3]),
+   *   indices: new Int32Array([0, 2, 1]),
+   *   indptr: new Int32Array([0, 2, 2, 3]),
+   * });
+   */
+  setSparseMatrix(matrix) {
+    if (!isObject(matrix) || !("data" in matrix)) {
+      throw `sparse matrix must contain a data attribute`;
     }
 
-    if ("intensityLegendData" in encoding) {
-      this.intensityLegendData = encoding["intensityLegendData"];
+    const { x, y, values, nrows, ncols, format } = parseSparseMatrix(matrix);
+
+    if (matrix.xlabels && matrix.xlabels.length !== ncols) {
+      throw `length of xlabels not the same as the number of columns: needs to be ${ncols}`;
     }
 
-    if ("groupingRowData" in encoding) {
-      this.groupingRowData = encoding["groupingRowData"];
+    if (matrix.ylabels && matrix.ylabels.length !== nrows) {
+      throw `length of ylabels not the same as the number of rows: needs to be ${nrows}`;
     }
 
-    if ("groupingColumnData" in encoding) {
-      this.groupingColumnData = encoding["groupingColumnData"];
+    this.setInput({
+      x,
+      y,
+      xlabels: matrix.xlabels || null,
+      ylabels: matrix.ylabels || null,
+    });
+
+    this.nrows = nrows;
+    this.ncols = ncols;
+    this.matrix = { values, nrows, ncols, format, sparse: true };
+
+    this.setState({ value: values, size: values });
+  }
+
+  /**
+   * Get the dimensions of the grid the cells are laid out in.
+   * For matrix input these are the dimensions of the matrix, which for sparse
+   * matrices can be larger than the extent of the non-zero cells.
+   *
+   * @return {object} object containing the number of rows and columns.
+   * @memberof BaseGL
+   */
+  _getMatrixDimensions() {
+    if (this.matrix) {
+      return { nrows: this.matrix.nrows, ncols: this.matrix.ncols };
     }
+
+    return {
+      nrows: getMinMax(this.input.y)[1] + 1,
+      ncols: getMinMax(this.input.x)[1] + 1,
+    };
   }
 
   /**
-   * Set the interaction mode for the rendering.
-   * possible values are
-   * lasso - make  a lasso selection
-   * box - make a box selection
-   * pan - pan the plot
+   * Get the indices of all cells in a row.
    *
-   * @param {string} mode, must be either `lasso`, `pan` or `box`
+   * @param {number} row, index of the row (position along the y-axis)
+   * @return {Array} indices of the cells in the row
    * @memberof BaseGL
    */
-  setInteraction(mode) {
-    if (!["lasso", "pan", "box"].includes(mode)) {
-      throw `${mode} needs to be one of lasso, pan or box selection`;
+  _getIndicesForRow(row) {
+    const indices = [];
+    for (let i = 0; i < this.input.y.length; i++) {
+      if (this.input.y[i] === row) {
+        indices.push(i);
+      }
     }
+    return indices;
+  }
 
-    this.plot.setViewOptions({ tool: mode });
+  /**
+   * Get the indices of all cells in a column.
+   *
+   * @param {number} col, index of the column (position along the x-axis)
+   * @return {Array} indices of the cells in the column
+   * @memberof BaseGL
+   */
+  _getIndicesForColumn(col) {
+    const indices = [];
+    for (let i = 0; i < this.input.x.length; i++) {
+      if (this.input.x[i] === col) {
+        indices.push(i);
+      }
+    }
+    return indices;
   }
 
   /**
-   * Set the legend options for the visualization.
-   * @param {string} legentPosition, position of the legend, can be `top`, `bottom`, `left` or `right`
-   * @param {DOMElement} legendDomElement, the DOM element to use for the legend
-   **/
-  setIntensityLegendOptions(legentPosition, legendDomElement, width, height) {
-    this.isLegendDomElementProvided = !!legendDomElement;
-    this.legendPosition = legentPosition;
-    this.legendWidth = width;
-    this.legendHeight = height;
+   * Get the value of each cell, set through `setMatrix`,
+   * `setSparseMatrix` or `setState({ value })`.
+   *
+   * @return {Array|TypedArray} the value of each cell
+   * @memberof BaseGL
+   */
+  _getCellValues() {
+    if (!isArrayOrTypedArray(this.state["value"])) {
+      throw `a value for each cell is required, use setMatrix, setSparseMatrix or setState({ value })`;
+    }
 
-    if (!legendDomElement) {
-      this.legendDomElement = this.elem.lastChild;
-    } else this.legendDomElement = legendDomElement;
+    return this.state["value"];
   }
 
-  setRowGroupingLegendOptions(
-    legendPosition,
-    legendDomElement,
-    labelDomElement,
-    labelOrientation
-  ) {
-    this.isRowGroupingLegendDomElementProvided = !!legendDomElement;
+  /**
+   * Move the rows or columns of the plot to new positions.
+   * Cells keep their indices, only their coordinates and the labels change.
+   *
+   * @param {string} axis, either `row` or `column`
+   * @param {Array|TypedArray} order, the current positions in their new order,
+   *  i.e. `order[newPosition] = currentPosition`
+   * @return {Int32Array} the new position of each current position
+   * @memberof BaseGL
+   */
+  _reorder(axis, order) {
+    const isRow = axis === "row";
+    const { nrows, ncols } = this._getMatrixDimensions();
+    const newPosition = invertOrder(order, isRow ? nrows : ncols, axis);
+
+    const coordinate = isRow ? "y" : "x";
+    const reordered = moveCoordinates(this.input[coordinate], newPosition);
+
+    const labelsKey = isRow ? "ylabels" : "xlabels";
+    const labels = this.input[labelsKey];
+
+    this.input = {
+      ...this.input,
+      [coordinate]: reordered,
+      [labelsKey]: labels ? Array.from(order, (p) => labels[p]) : labels,
+    };
+
+    const currentOrder = this._getOrder(axis);
+    this[`${axis}Order`] = Uint32Array.from(order, (p) => currentOrder[p]);
+
+    const groupingKey = isRow ? "groupingRowData" : "groupingColumnData";
+    if (this[groupingKey]) {
+      this[groupingKey] = this._reorderGrouping(this[groupingKey], order);
+    }
+
+    // the dendrogram no longer matches the rows/columns
+    this[`${axis}Dendrogram`] = null;
+
+    return newPosition;
+  }
+
+  /**
+   * Get the original position of each row or column, in the order they are displayed.
+   *
+   * @param {string} axis, either `row` or `column`
+   * @return {Uint32Array} the original positions
+   * @memberof BaseGL
+   */
+  _getOrder(axis) {
+    const order = this[`${axis}Order`];
+    if (order) return order;
+
+    const { nrows, ncols } = this._getMatrixDimensions();
+    return Uint32Array.from(
+      { length: axis === "row" ? nrows : ncols },
+      (_, i) => i
+    );
+  }
+
+  /**
+   * Move grouping bars along with the rows or columns they cover.
+   * Groups that are no longer contiguous are split into several bars,
+   * adjacent bars of the same group are merged back.
+   *
+   * @param {Array} groupingData, objects containing the startIndex, endIndex, color and label of each group
+   * @param {Array|TypedArray} order, the current positions in their new order
+   * @return {Array} the grouping data for the new order
+   * @memberof BaseGL
+   */
+  _reorderGrouping(groupingData, order) {
+    const groupAt = new Array(order.length).fill(null);
+    groupingData.forEach((group) => {
+      for (let p = group.startIndex; p <= group.endIndex; p++) {
+        groupAt[p] = group;
+      }
+    });
+
+    const reordered = [];
+    let previous = null;
+    for (let i = 0; i < order.length; i++) {
+      const group = groupAt[order[i]];
+      if (
+        group &&
+        previous &&
+        group.label === previous.label &&
+        group.color === previous.color
+      ) {
+        reordered[reordered.length - 1].endIndex = i;
+      } else if (group) {
+        reordered.push({ ...group, startIndex: i, endIndex: i });
+      }
+      previous = group;
+    }
+
+    return reordered;
+  }
+
+  /**
+   * Set the order of the rows.
+   * Coordinates, labels, grouping bars and dendrograms move with the rows.
+   * Cell indices do not change, so highlighted cells stay highlighted.
+   * A rendered plot is updated in place, keeping the current viewport.
+   *
+   * @param {Array|TypedArray} permutation, the original position of each row, in the new order
+   *  (row 0 is at the bottom)
+   * @memberof BaseGL
+   * @example
+   * // reverse the rows
+   * plot.setRowOrder(plot.rowOrder.slice().reverse());
+   */
+  setRowOrder(permutation) {
+    this.sortState = null;
+    this._setOrder("row", permutation);
+  }
+
+  /**
+   * Set the order of the columns.
+   * Coordinates, labels, grouping bars and dendrograms move with the columns.
+   * Cell indices do not change, so highlighted cells stay highlighted.
+   * A rendered plot is updated in place, keeping the current viewport.
+   *
+   * @param {Array|TypedArray} permutation, the original position of each column, in the new order
+   * @memberof BaseGL
+   * @example
+   * plot.setColumnOrder([2, 0, 1]);
+   */
+  setColumnOrder(permutation) {
+    this._setOrder("column", permutation);
+  }
+
+  /**
+   * Reorder the rows or columns relative to their original positions
+   * and update the rendered plot.
+   *
+   * @param {string} axis, either `row` or `column`
+   * @param {Array|TypedArray} permutation, the original positions in their new order
+   * @memberof BaseGL
+   */
+  _setOrder(axis, permutation) {
+    const currentOrder = this._getOrder(axis);
+
+    if (
+      !isArrayOrTypedArray(permutation) ||
+      permutation.length !== currentOrder.length
+    ) {
+      throw `permutation must contain each of the ${currentOrder.length} ${axis}s exactly once`;
+    }
+
+    // rows/columns stay in their panel, ordered within it
+    const split = this.split[axis];
+    if (split) {
+      permutation = Array.from(permutation).sort(
+        (a, b) => split.panelOf[a] - split.panelOf[b]
+      );
+    }
+
+    const order = toCurrentOrder(permutation, currentOrder);
+    this._reorder(axis, order);
+    this._renderOrder(axis, order);
+  }
+
+  /**
+   * Update a rendered plot after its rows or columns moved.
+   * Only the positions along the axis and the labels are regenerated,
+   * the other encodings are reused from the current specification,
+   * and the current view is kept.
+   *
+   * @param {string} axis, either `row` or `column`
+   * @param {Array|TypedArray} order, the previous positions in their new order
+   * @memberof BaseGL
+   */
+  _renderOrder(axis, order) {
+    if (!this._spec) return;
+
+    const coordinate = axis === "row" ? "y" : "x";
+    this._spec.defaultData[coordinate] = this.generatePositions()[coordinate];
+
+    // labels are positioned by index, format them again in their new order
+    if (this._spec.labels) {
+      const labelType = axis === "row" ? "column" : "row";
+      const formatted = this._formatLabels(axis);
+      this._spec.labels
+        .filter((label) => label.type === labelType)
+        .forEach((label) =>
+          this._setLabelFormat(label, formatted[label.index])
+        );
+    }
+
+    this._renderSortIndicator();
+
+    // epiviz.gl indexes the moved cells for hovering and selecting only
+    // through setSpecification, which also resets the view: restore it
+    const viewport = this.viewport;
+    this._setSpecification(this._spec);
+    if (viewport) this._setViewport(viewport);
+    else this._renderViewportLayers();
+  }
+
+  /**
+   * Enable sorting the rows by clicking on a column label.
+   * Repeated clicks on the same label cycle through ascending,
+   * descending and the order before sorting.
+   * While enabled, clicking a column label no longer highlights the column,
+   * unless the cells have no value to sort by.
+   * @memberof BaseGL
+   * @example
+   * plot.enableSorting();
+   */
+  enableSorting() {
+    this.sortingEnabled = true;
+  }
+
+  /**
+   * Disable sorting the rows by clicking on a column label.
+   * The current order of the rows is kept.
+   * @memberof BaseGL
+   * @example
+   * plot.disableSorting();
+   */
+  disableSorting() {
+    this.sortingEnabled = false;
+  }
+
+  /**
+   * Let the row and/or column labels be dragged to reorder the rows/columns by hand.
+   * A line shows where the row/column will be dropped. Dropping moves it as
+   * `setRowOrder`/`setColumnOrder` do, and emits `orderChange`.
+   * Split rows/columns stay in their panel.
+   *
+   * @param {?object} options, dragging options
+   * @param {?string} options.axis, labels that can be dragged, `row`, `column` or `both` (default)
+   * @param {?string} options.color, color of the drop indicator (default: #333)
+   * @memberof BaseGL
+   * @example
+   * plot.enableLabelDragging({ axis: "row" });
+   * plot.on("orderChange", ({ axis, order }) => save(axis, order));
+   */
+  enableLabelDragging(options = {}) {
+    const { axis = "both", color = DEFAULT_DROP_INDICATOR_COLOR } = options;
+
+    if (!["row", "column", "both"].includes(axis)) {
+      throw `${axis} needs to be one of row, column or both`;
+    }
+
+    this.labelDragging = { axis, color };
+
+    // labels are drawn in the svg of epiviz.gl, over the margins
+    if (!this._onLabelMouseDown) {
+      this._onLabelMouseDown = (event) => this._startLabelDrag(event);
+      this.plot.mouseReader.SVGInteractor.svg.addEventListener(
+        "mousedown",
+        this._onLabelMouseDown
+      );
+    }
+  }
+
+  /**
+   * Stop dragging labels, a drag in progress is cancelled.
+   * @memberof BaseGL
+   * @example
+   * plot.disableLabelDragging();
+   */
+  disableLabelDragging() {
+    this.labelDragging = null;
+    if (this._labelDrag) this._labelDrag.cancel();
+
+    if (this._onLabelMouseDown) {
+      this.plot.mouseReader.SVGInteractor.svg.removeEventListener(
+        "mousedown",
+        this._onLabelMouseDown
+      );
+      this._onLabelMouseDown = null;
+    }
+  }
+
+  /**
+   * Start dragging the label under the cursor, if it can be dragged.
+   * The drag starts once the cursor moved a few px, so clicks still sort and highlight.
+   *
+   * @param {MouseEvent} event, the mousedown event
+   * @memberof BaseGL
+   */
+  _startLabelDrag(event) {
+    const label = select(event.target).datum();
+    if (!this.labelDragging || !this._spec || event.button !== 0) return;
+    if (!label || !["row", "column"].includes(label.type)) return;
+
+    // label type `row` labels the columns, `column` the rows
+    const axis = label.type === "row" ? "column" : "row";
+    if (![axis, "both"].includes(this.labelDragging.axis)) return;
+
+    const from = label.index;
+    let to = null;
+
+    const onMouseMove = (e) => {
+      const distance = Math.hypot(
+        e.clientX - event.clientX,
+        e.clientY - event.clientY
+      );
+      if (to === null && distance < LABEL_DRAG_THRESHOLD_IN_PX) return;
+
+      to = this._getDropPosition(axis, from, e);
+      this._renderDropIndicator(axis, to);
+    };
+
+    const cancel = () => {
+      window.removeEventListener("mousemove", onMouseMove);
+      window.removeEventListener("mouseup", onMouseUp);
+      this._labelDrag = null;
+      this._renderDropIndicator(axis, null);
+    };
+
+    const onMouseUp = () => {
+      cancel();
+      if (to === null) return;
+
+      this._labelDragEnded = true;
+      setTimeout(() => (this._labelDragEnded = false));
+      this._moveToPosition(axis, from, to);
+    };
+
+    if (this._labelDrag) this._labelDrag.cancel();
+    this._labelDrag = { cancel };
+    window.addEventListener("mousemove", onMouseMove);
+    window.addEventListener("mouseup", onMouseUp);
+  }
+
+  /**
+   * Find where a dragged row/column would be dropped: the boundary between
+   * two rows/columns closest to the cursor, within the panel of the dragged one.
+   *
+   * @param {string} axis, either `row` or `column`
+   * @param {number} from, position of the dragged row/column, as displayed
+   * @param {MouseEvent} event, the mousemove event
+   * @return {number} the boundary, from 0 (before the first row/column) to the number of rows/columns
+   * @memberof BaseGL
+   */
+  _getDropPosition(axis, from, event) {
+    const isRow = axis === "row";
+    const parsedMargins = parseMargins(this._spec.margins);
+    const bounds = this.elem.lastChild.getBoundingClientRect();
+    const length = isRow
+      ? this.elem.clientHeight - parsedMargins.top - parsedMargins.bottom
+      : this.elem.clientWidth - parsedMargins.left - parsedMargins.right;
+    const pixel = isRow
+      ? event.clientY - bounds.top - parsedMargins.top
+      : event.clientX - bounds.left - parsedMargins.left;
+
+    // px to plot coordinates, as `_getPositionToPixelScale` inverted
+    const visibleRange = isRow
+      ? this.viewport?.yRange || this.yAxisRange
+      : this.viewport?.xRange || this.xAxisRange;
+    const toAxis = scaleLinear()
+      .domain(isRow ? [length, 0] : [0, length])
+      .range(visibleRange);
+    const position = Math.round(
+      this._getAxisToPositionScale(axis)(toAxis(pixel))
+    );
+
+    const { start, end } = this._getGridLayout(axis).panels.find(
+      (panel) => panel.start <= from && from <= panel.end
+    );
+    return Math.min(Math.max(position, start), end + 1);
+  }
+
+  /**
+   * Render the line showing where a dragged row/column would be dropped,
+   * across the plot and its labels.
+   *
+   * @param {string} axis, either `row` or `column`
+   * @param {?number} position, the boundary from `_getDropPosition`, null to remove the line
+   * @memberof BaseGL
+   */
+  _renderDropIndicator(axis, position) {
+    select(this.elem.lastChild)
+      .select(`#${DROP_INDICATOR_IDENTIFIER}`)
+      .remove();
+
+    if (position === null || !this._spec || !this.labelDragging) return;
+
+    const isRow = axis === "row";
+    const parsedMargins = parseMargins(this._spec.margins);
+    const width =
+      this.elem.clientWidth - parsedMargins.left - parsedMargins.right;
+    const height =
+      this.elem.clientHeight - parsedMargins.top - parsedMargins.bottom;
+
+    // the end of the row/column before, so the line stays out of the gaps between panels
+    const toPixel = this._getPositionToPixelScale(axis, isRow ? height : width);
+    const pixel = position === 0 ? toPixel(0) : toPixel(position, true);
+
+    select(this.elem.lastChild)
+      .append("svg")
+      .attr("id", DROP_INDICATOR_IDENTIFIER)
+      .attr("width", width)
+      .attr("height", height)
+      .style("overflow", "visible")
+      .style("pointer-events", "none")
+      .style("position", "absolute")
+      .style("top", "0px")
+      .style("left", "0px")
+      .style("margin-top", `${parsedMargins.top}px`)
+      .style("margin-left", `${parsedMargins.left}px`)
+      .append("path")
+      .attr(
+        "d",
+        isRow
+          ? `M${-parsedMargins.left},${pixel}H${width + parsedMargins.right}`
+          : `M${pixel},${-parsedMargins.top}V${height + parsedMargins.bottom}`
+      )
+      .attr("stroke", this.labelDragging.color)
+      .attr("stroke-width", 2);
+  }
+
+  /**
+   * Move a row or column to a boundary between two others, then emit `orderChange`.
+   *
+   * @param {string} axis, either `row` or `column`
+   * @param {number} from, position of the row/column, as displayed
+   * @param {number} to, the boundary from `_getDropPosition`
+   * @memberof BaseGL
+   */
+  _moveToPosition(axis, from, to) {
+    const currentOrder = this._getOrder(axis);
+    const moved = moveToBoundary(currentOrder, from, to);
+    if (!moved) return;
+
+    if (axis === "row") {
+      this.setRowOrder(moved.order);
+    } else {
+      this.setColumnOrder(moved.order);
+    }
+
+    this._emit("orderChange", {
+      axis,
+      index: currentOrder[from],
+      from,
+      to: moved.position,
+      order: this._getOrder(axis),
+    });
+  }
+
+  /**
+   * Sort the rows by the values of a column, read from top to bottom.
+   * Missing values are always at the bottom, ties keep their relative order.
+   *
+   * @param {number} column, original position (in the input) of the column
+   * @param {?string} direction, `ascending`, `descending` or null to restore the order before sorting
+   * @memberof BaseGL
+   * @example
+   * // highest values of the first column at the top
+   * plot.sortRows(0, "descending");
+   */
+  sortRows(column, direction) {
+    if (!["ascending", "descending", null, undefined].includes(direction)) {
+      throw `${direction} needs to be one of ascending, descending or null`;
+    }
+
+    const previous = this.sortState;
+
+    if (!direction) {
+      if (previous) {
+        this.sortState = null;
+        this._setOrder("row", previous.previousOrder);
+        this.rowDendrogram = previous.previousDendrogram;
+        this.renderDendrograms();
+      }
+    } else {
+      const columnOrder = this._getOrder("column");
+      const columnPosition = columnOrder.indexOf(column);
+      if (columnPosition === -1) {
+        throw `column ${column} is not a column of the plot`;
+      }
+
+      // value of each row, by its current position
+      const values = this._getCellValues();
+      const rowOrder = this._getOrder("row");
+      const rowValues = new Float64Array(rowOrder.length).fill(
+        this.matrix && this.matrix.sparse ? 0 : NaN
+      );
+      for (let i = 0; i < values.length; i++) {
+        if (this.input.x[i] === columnPosition) {
+          rowValues[this.input.y[i]] = values[i];
+        }
+      }
+
+      const currentPosition = getPositions(rowOrder);
+
+      // sort from the order before sorting, so ties keep that order
+      const baseOrder = previous ? previous.previousOrder : rowOrder;
+      const topToBottom = sortOrder(
+        Array.from(baseOrder).reverse(),
+        (row) => rowValues[currentPosition[row]],
+        direction
+      );
+
+      this.sortState = {
+        column,
+        direction,
+        previousOrder: baseOrder,
+        previousDendrogram: previous
+          ? previous.previousDendrogram
+          : this.rowDendrogram,
+      };
+
+      // row 0 is at the bottom
+      this._setOrder("row", topToBottom.reverse());
+    }
+
+    this._emit("sortChange", {
+      column,
+      direction: this.sortState ? direction : null,
+      rowOrder: this._getOrder("row"),
+    });
+  }
+
+  /**
+   * Sort the rows by a column, moving to the next direction
+   * if the rows are already sorted by that column.
+   *
+   * @param {number} column, original position (in the input) of the column
+   * @memberof BaseGL
+   */
+  _cycleSort(column) {
+    let direction = "ascending";
+    if (this.sortState && this.sortState.column === column) {
+      direction =
+        this.sortState.direction === "ascending" ? "descending" : null;
+    }
+
+    this.sortRows(column, direction);
+  }
+
+  /**
+   * Show the sort direction next to the label of the sorted column.
+   * @memberof BaseGL
+   */
+  _renderSortIndicator() {
+    if (!this._spec || !this._spec.labels) return;
+
+    const position = this.sortState
+      ? this._getOrder("column").indexOf(this.sortState.column)
+      : -1;
+    const indicator =
+      this.sortState && this.sortState.direction === "ascending"
+        ? SORT_ASCENDING_INDICATOR
+        : SORT_DESCENDING_INDICATOR;
+
+    this._spec.labels
+      .filter((label) => label.type === "row")
+      .forEach((label) => {
+        // the indicator is added to the text as formatted, never to the current text
+        const { text } = this._labelFormats.get(label);
+        label.text = label.index === position ? `${text} ${indicator}` : text;
+      });
+  }
+
+  /**
+   * Hierarchical clustering of the rows and/or columns of the plot.
+   * Runs in a web worker on the value of each cell (missing cells count as 0),
+   * then reorders the rows/columns to the order of the leaves and
+   * keeps the dendrograms to draw beside the plot.
+   * Call `render` once the returned promise resolves.
+   *
+   * @param {object} options, clustering options
+   * @param {boolean} options.rows, cluster the rows (default: true)
+   * @param {boolean} options.columns, cluster the columns (default: true)
+   * @param {string} options.metric, distance between rows/columns, one of
+   *  `euclidean` (default), `manhattan`, `correlation` (1 - pearson) or `cosine`
+   * @param {string} options.linkage, distance between clusters, one of
+   *  `single`, `complete`, `average` (default) or `ward` (euclidean only)
+   * @return {Promise<object>} resolves with `rowOrder` and `columnOrder`,
+   *  the previous positions of the rows/columns in their new order,
+   *  rejects if the plot is destroyed first
+   * @memberof BaseGL
+   * @example
+   * await plot.cluster({ metric: "correlation", linkage: "complete" });
+   * plot.render();
+   */
+  cluster(options = {}) {
+    const {
+      rows = true,
+      columns = true,
+      metric = "euclidean",
+      linkage = "average",
+    } = options;
+
+    if (!DISTANCE_METRICS.includes(metric)) {
+      throw `${metric} needs to be one of ${DISTANCE_METRICS.join(", ")}`;
+    }
+
+    if (!LINKAGE_METHODS.includes(linkage)) {
+      throw `${linkage} needs to be one of ${LINKAGE_METHODS.join(", ")}`;
+    }
+
+    if (linkage === "ward" && metric !== "euclidean") {
+      throw `ward linkage requires the euclidean metric`;
+    }
+
+    const values = this._getCellValues();
+    const { nrows, ncols } = this._getMatrixDimensions();
+
+    const data = new Float64Array(nrows * ncols);
+    for (let i = 0; i < values.length; i++) {
+      if (Number.isFinite(values[i])) {
+        data[this.input.y[i] * ncols + this.input.x[i]] = values[i];
+      }
+    }
+
+    if (!this.clusteringWorker) {
+      this.clusteringWorker = new Worker(
+        new URL("./clustering/clustering-worker.js", import.meta.url),
+        { type: "module" }
+      );
+      this._clusteringRequestId = 0;
+      // rejections of the requests the worker has not answered yet
+      this._clusteringRequests = new Map();
+    }
+
+    const worker = this.clusteringWorker;
+    const id = ++this._clusteringRequestId;
+
+    return new Promise((resolve, reject) => {
+      const onMessage = (message) => {
+        if (message.data.id !== id) return;
+        worker.removeEventListener("message", onMessage);
+        this._clusteringRequests.delete(id);
+
+        if (message.data.error) {
+          reject(message.data.error);
+          return;
+        }
+
+        // leaves of the dendrograms refer to the new positions
+        const relabel = (merges, newPosition) =>
+          merges.map((merge) => ({
+            ...merge,
+            left:
+              merge.left < newPosition.length
+                ? newPosition[merge.left]
+                : merge.left,
+            right:
+              merge.right < newPosition.length
+                ? newPosition[merge.right]
+                : merge.right,
+          }));
+
+        const result = {};
+        if (message.data.rows) {
+          this.sortState = null;
+          const { merges, order } = message.data.rows;
+          this.rowDendrogram = relabel(merges, this._reorder("row", order));
+          result.rowOrder = this.rowOrder;
+        }
+
+        if (message.data.columns) {
+          const { merges, order } = message.data.columns;
+          this.columnDendrogram = relabel(
+            merges,
+            this._reorder("column", order)
+          );
+          result.columnOrder = this.columnOrder;
+        }
+
+        resolve(result);
+      };
+
+      worker.addEventListener("message", onMessage);
+      this._clusteringRequests.set(id, reject);
+      // split rows/columns are clustered within their panel
+      const panels = (axis) =>
+        this.split[axis]
+          ? this._getGridLayout(axis).panels.map(({ start, end }) =>
+              Array.from({ length: end - start + 1 }, (_, i) => start + i)
+            )
+          : null;
+
+      worker.postMessage(
+        {
+          id,
+          data,
+          nrows,
+          ncols,
+          rows,
+          columns,
+          rowPanels: panels("row"),
+          columnPanels: panels("column"),
+          metric,
+          linkage,
+        },
+        [data.buffer]
+      );
+    });
+  }
+
+  /**
+   * Set the options for the dendrograms drawn after `cluster`.
+   *
+   * @param {object} options, dendrogram options
+   * @param {string} options.rowPosition, side of the row dendrogram, `left` (default) or `right`
+   * @param {string} options.columnPosition, side of the column dendrogram, `top` (default) or `bottom`
+   * @param {number} options.size, space taken by each dendrogram in the margins, in px (default: 60)
+   * @param {string} options.color, stroke color of the branches
+   * @param {number} options.strokeWidth, stroke width of the branches
+   * @memberof BaseGL
+   */
+  setDendrogramOptions(options) {
+    if (
+      options.rowPosition &&
+      !["left", "right"].includes(options.rowPosition)
+    ) {
+      throw `${options.rowPosition} needs to be one of left or right`;
+    }
+
+    if (
+      options.columnPosition &&
+      !["top", "bottom"].includes(options.columnPosition)
+    ) {
+      throw `${options.columnPosition} needs to be one of top or bottom`;
+    }
+
+    this.dendrogramOptions = {
+      ...this.dendrogramOptions,
+      ...options,
+    };
+  }
+
+  /**
+   * Set the marginal plots, bar charts or box plots summarizing the rows
+   * (`left`/`right`) or the columns (`top`/`bottom`), aligned with the heatmap.
+   * Summaries are computed from the value of each cell (set through `setMatrix`,
+   * `setSparseMatrix` or `setState({ value })`) unless precomputed `values` are given.
+   * Call after setting the data, missing cells of a sparse matrix count as 0.
+   *
+   * @param {object} plots, a marginal plot for each side, null to remove it
+   * @param {?string} plots[side].type, either `bar` (default) or `box`
+   * @param {?string} plots[side].summary, `sum`, `mean` (default) or `nonzero` (fraction of non-zero cells), for bar charts
+   * @param {?Array|TypedArray} plots[side].values, precomputed summaries for each row/column in input order:
+   *  numbers for bar charts, the values (or `{min, q1, median, q3, max}`) of each row/column for box plots
+   * @param {?number} plots[side].size, size of the plot in px (default: 50)
+   * @param {?string} plots[side].color, fill color of the bars/boxes
+   * @memberof BaseGL
+   * @example
+   * plot.setMarginalPlots({
+   *   top: { type: "bar", summary: "nonzero" },
+   *   right: { type: "box" },
+   *   left: null,
+   * });
+   */
+  setMarginalPlots(plots) {
+    if (!isObject(plots)) {
+      throw `marginal plots must be an object with a plot for each side`;
+    }
+
+    const marginalPlots = { ...this.marginalPlots };
+    Object.keys(plots).forEach((side) => {
+      if (!MARGINAL_PLOT_SIDES.includes(side)) {
+        throw `${side} needs to be one of ${MARGINAL_PLOT_SIDES.join(", ")}`;
+      }
+
+      if (!plots[side]) {
+        delete marginalPlots[side];
+        return;
+      }
+
+      const isColumn = side === "top" || side === "bottom";
+      const { nrows, ncols } = this._getMatrixDimensions();
+      const cells = {
+        length: isColumn ? ncols : nrows,
+        otherLength: isColumn ? nrows : ncols,
+        sparse: !!(this.matrix && this.matrix.sparse),
+      };
+
+      if (!plots[side].values) {
+        // summaries are kept by original position, so they follow reordering
+        const order = this._getOrder(isColumn ? "column" : "row");
+        const coordinates = isColumn ? this.input.x : this.input.y;
+        cells.values = this._getCellValues();
+        cells.positions = Uint32Array.from(coordinates, (p) => order[p]);
+      }
+
+      marginalPlots[side] = prepareMarginalPlot(side, plots[side], cells);
+    });
+
+    this.marginalPlots = marginalPlots;
+  }
+
+  /**
+   * Split the rows and/or columns into panels, separated by gaps.
+   * Rows/columns are moved next to the others of their panel, panels are
+   * ordered by first appearance (or by the order of the groups).
+   * Reordering, sorting and clustering then apply within each panel.
+   * Supported by DotplotGL and RectplotGL.
+   *
+   * @param {object} options, split options
+   * @param {?string|Array} options.rows, `grouping` to split along `groupingRowData`,
+   *  an array with the panel of each row (in input order), or null to remove the split
+   * @param {?string|Array} options.columns, same as `rows`, for the columns
+   * @param {?number} options.gap, size of the gaps, in rows/columns (default: 1)
+   * @param {?boolean} options.showTitles, show the name of each panel in the margin (default: true)
+   * @memberof BaseGL
+   * @example
+   * plot.setSplit({ rows: ["T", "T", "B", "NK", "B"], gap: 0.5 });
+   * plot.setSplit({ columns: "grouping" });
+   * plot.render();
+   */
+  setSplit(options) {
+    if ("gap" in options && !(options.gap >= 0)) {
+      throw `gap must be a number >= 0`;
+    }
+
+    this.splitOptions = {
+      gap: "gap" in options ? options.gap : this.splitOptions.gap,
+      showTitles:
+        "showTitles" in options
+          ? options.showTitles
+          : this.splitOptions.showTitles,
+    };
+
+    ["row", "column"].forEach((axis) => {
+      const key = `${axis}s`;
+      if (!(key in options)) return;
+
+      const split = options[key] ? this._createSplit(axis, options[key]) : null;
+      this.split = { ...this.split, [axis]: split };
+      if (!split) return;
+
+      // move the rows/columns of each panel next to each other
+      const currentOrder = this._getOrder(axis);
+      const order = Array.from(currentOrder, (_, p) => p).sort(
+        (a, b) =>
+          split.panelOf[currentOrder[a]] - split.panelOf[currentOrder[b]]
+      );
+      if (order.some((position, i) => position !== i)) {
+        this._reorder(axis, order);
+      }
+    });
+  }
+
+  /**
+   * Assign each row or column to a panel.
+   *
+   * @param {string} axis, either `row` or `column`
+   * @param {string|Array} split, `grouping` or the panel of each row/column, in input order
+   * @return {object} the panel of each row/column (by original position) and the panel titles
+   * @memberof BaseGL
+   */
+  _createSplit(axis, split) {
+    const order = this._getOrder(axis);
+    const panelOf = new Int32Array(order.length);
+    const titles = [];
+    const panelIndex = (title) => {
+      const key = String(title);
+      if (!titles.includes(key)) titles.push(key);
+      return titles.indexOf(key);
+    };
+
+    if (split === "grouping") {
+      const groupingData =
+        axis === "row" ? this.groupingRowData : this.groupingColumnData;
+      if (!groupingData) {
+        throw `${axis} grouping data is required to split by grouping`;
+      }
+
+      // rows/columns outside of any group go to a last, untitled, panel
+      panelOf.fill(-1);
+      groupingData.forEach((group) => {
+        const panel = panelIndex(group.label);
+        for (let p = group.startIndex; p <= group.endIndex; p++) {
+          panelOf[order[p]] = panel;
+        }
+      });
+      if (panelOf.includes(-1)) {
+        const panel = panelIndex("");
+        panelOf.forEach((value, i) => {
+          if (value === -1) panelOf[i] = panel;
+        });
+      }
+    } else if (isArrayOrTypedArray(split)) {
+      if (split.length !== order.length) {
+        throw `split must contain the panel of each of the ${order.length} ${axis}s`;
+      }
+
+      for (let i = 0; i < split.length; i++) {
+        panelOf[i] = panelIndex(split[i]);
+      }
+    } else {
+      throw `split needs to be either grouping or an array with the panel of each ${axis}`;
+    }
+
+    return { panelOf, titles };
+  }
+
+  /**
+   * Get the layout of the rows or columns on the grid, including the gaps
+   * between panels. Without a split, each row/column takes one slot.
+   *
+   * @param {string} axis, either `row` or `column`
+   * @return {object} the first `slots` of each position, the `total` number of slots
+   *  and the `panels` ({panel, start, end} positions) in display order
+   * @memberof BaseGL
+   */
+  _getGridLayout(axis) {
+    const split = this.split[axis];
+    return getGridLayout(
+      this._getOrder(axis),
+      split ? split.panelOf : null,
+      this.splitOptions.gap
+    );
+  }
+
+  /**
+   * Get the size of the grid the cells are drawn on, in slots.
+   * Same as the matrix dimensions, plus the gaps between panels.
+   *
+   * @return {object} object containing the number of rows and columns.
+   * @memberof BaseGL
+   */
+  _getGridDimensions() {
+    return {
+      nrows: this._getGridLayout("row").total,
+      ncols: this._getGridLayout("column").total,
+    };
+  }
+
+  /**
+   * Set the annotation tracks of the rows or columns.
+   * Tracks are stacked in the margin, each with its title and a legend.
+   * Values are given in input order and follow the rows/columns when reordered.
+   * Replaces the tracks previously set on that axis.
+   *
+   * @param {string} axis, either `row` or `column`
+   * @param {Array<object>} tracks, the annotation tracks, in order from the outer edge
+   * @param {string} tracks[].name, title of the track
+   * @param {string} tracks[].type, either `categorical` (default) or `continuous`
+   * @param {Array|TypedArray} tracks[].values, a category or a number for each row/column
+   * @param {?object|Array} tracks[].colors, colors of the categories, an object mapping categories
+   *  to colors or an array of colors (categorical only, default: d3 `schemeTableau10`)
+   * @param {?object} tracks[].colorScale, color scale options (continuous only), same as in `setState`
+   * @param {?number} tracks[].size, thickness of the track in px (default: 12)
+   * @memberof BaseGL
+   * @example
+   * plot.setAnnotationTracks("row", [
+   *   { name: "cell type", type: "categorical", values: ["B", "T", "B"] },
+   *   { name: "depth", type: "continuous", values: [120, 40, 300], colorScale: { scheme: "blues" } },
+   * ]);
+   */
+  setAnnotationTracks(axis, tracks) {
+    if (!["row", "column"].includes(axis)) {
+      throw `${axis} needs to be one of row or column`;
+    }
+
+    if (!Array.isArray(tracks)) {
+      throw `annotation tracks must be an array`;
+    }
+
+    const { nrows, ncols } = this._getMatrixDimensions();
+    this.annotationTracks = {
+      ...this.annotationTracks,
+      [axis]: tracks.map((track) =>
+        prepareAnnotationTrack(track, axis === "row" ? nrows : ncols)
+      ),
+    };
+  }
+
+  /**
+   * Set the options for the annotation tracks.
+   *
+   * @param {object} options, annotation options
+   * @param {string} options.rowPosition, side of the row tracks, `left` (default) or `right`
+   * @param {string} options.columnPosition, side of the column tracks, `top` (default) or `bottom`
+   * @param {boolean} options.showLegends, show a legend for each track (default: true)
+   * @param {?HTMLElement} options.legendDomElement, element to render the legends in,
+   *  by default they are rendered in the right margin
+   * @memberof BaseGL
+   */
+  setAnnotationOptions(options) {
+    if (
+      options.rowPosition &&
+      !["left", "right"].includes(options.rowPosition)
+    ) {
+      throw `${options.rowPosition} needs to be one of left or right`;
+    }
+
+    if (
+      options.columnPosition &&
+      !["top", "bottom"].includes(options.columnPosition)
+    ) {
+      throw `${options.columnPosition} needs to be one of top or bottom`;
+    }
+
+    this.annotationOptions = {
+      ...this.annotationOptions,
+      ...options,
+    };
+  }
+
+  /**
+   * Set the state of the visualization.
+   *
+   * @param {object} encoding, a set of attributes that modify the rendering
+   * @param {Array|number} encoding.size, an array of size for each x-y cell or a singular size to apply for all cells.
+   * @param {Array|number} encoding.color, an array of colors for each x-y cell or a singular color to apply for all cells.
+   * @param {Array|TypedArray} encoding.value, a value for each x-y cell, mapped to colors through `colorScale`. Takes precedence over `color`.
+   * @param {object} encoding.colorScale, options for the color scale used with `value`, see `createColorScale`.
+   *  (`scheme`, `type`: linear|log|quantile|diverging, `domain`, `midpoint`, `clamp`, `reverse`, `naColor`)
+   * @param {Array|number} encoding.opacity, same as size, but sets the opacity for each cell.
+   * @param {Array|number} encoding.xgap, same as size, but sets the gap along x-axis.
+   * @param {Array|number} encoding.ygap, same as size, but sets the gap along y-axis.
+   * @param {Array} encoding.intensityLegendData - an array of objects containing the color, intensity and label for the legend. Generated from the color scale when `value` is used.
+   * @param {Array} encoding.rowGroupingData - an array of objects containing the startIndex, endIndex, color and label for the row grouping.
+   * @param {Array} encoding.columnGroupingData - an array of objects containing the startIndex, endIndex, color and label for the column grouping.
+   * @param {string} encoding.zeroColor - color of the implicit zero cells of a sparse matrix, defaults to the color of 0 on the color scale.
+   * @memberof BaseGL
+   */
+  setState(encoding) {
+    if ("size" in encoding) {
+      // scale size between 5 - 20
+      // let tsize = encoding["size"];
+      // if (Array.isArray(encoding["size"])) {
+      //   let sMinMax = getMinMax(encoding["size"]);
+      //   tsize = encoding["size"].map(
+      //     (e) => 15 * ((e - sMinMax[0]) / (sMinMax[1] - sMinMax[0])) + 5
+      //   );
+      // }
+      this.state["size"] = encoding["size"];
+    }
+
+    if ("color" in encoding) {
+      this.state["color"] = encoding["color"];
+      this.colorScale = null;
+    }
+
+    if ("opacity" in encoding) {
+      this.state["opacity"] = encoding["opacity"];
+    }
+
+    if ("xgap" in encoding) {
+      this.state["xgap"] = encoding["xgap"];
+    }
+
+    if ("ygap" in encoding) {
+      this.state["ygap"] = encoding["ygap"];
+    }
+
+    if ("intensityLegendData" in encoding) {
+      this.intensityLegendData = encoding["intensityLegendData"];
+    }
+
+    if ("groupingRowData" in encoding) {
+      this.groupingRowData = encoding["groupingRowData"];
+    }
+
+    if ("groupingColumnData" in encoding) {
+      this.groupingColumnData = encoding["groupingColumnData"];
+    }
+
+    if ("zeroColor" in encoding) {
+      this.zeroColor = encoding["zeroColor"];
+    }
+
+    if ("colorScale" in encoding) {
+      this.colorScaleOptions = encoding["colorScale"];
+    }
+
+    if ("value" in encoding) {
+      this.state["value"] = encoding["value"];
+    }
+
+    if (
+      ("value" in encoding || "colorScale" in encoding) &&
+      this.state["value"]
+    ) {
+      this.updateColorScale();
+    }
+  }
+
+  /**
+   * Compute the colors of the cells and the intensity legend from
+   * `value` and the color scale options.
+   * @memberof BaseGL
+   */
+  updateColorScale() {
+    this.colorScale = createColorScale(
+      this.colorScaleOptions,
+      this.state["value"],
+      !!(this.matrix && this.matrix.sparse)
+    );
+    this.state["color"] = this.colorScale.mapValues(this.state["value"]);
+    this.intensityLegendData = this.colorScale.legendData;
+  }
+
+  /**
+   * Set the interaction mode for the rendering.
+   * possible values are
+   * lasso - make  a lasso selection
+   * box - make a box selection
+   * pan - pan the plot
+   *
+   * @param {string} mode, must be either `lasso`, `pan` or `box`
+   * @memberof BaseGL
+   */
+  setInteraction(mode) {
+    if (!["lasso", "pan", "box"].includes(mode)) {
+      throw `${mode} needs to be one of lasso, pan or box selection`;
+    }
+
+    this.plot.setViewOptions({ tool: mode });
+  }
+
+  /**
+   * Limit panning and zooming.
+   * epiviz.gl locks box selections to the same axis: with `axis: "x"`, a box selects
+   * the dragged columns across all the visible rows, with `axis: "y"` the dragged rows
+   * across all the visible columns.
+   *
+   * @param {object} options, zoom options
+   * @param {?string} options.axis, axes that can be panned and zoomed, `x`, `y` or `both` (default),
+   *  also the axes box selections follow
+   * @param {?number} options.minZoom, smallest zoom level, 1 showing the whole plot (default: 1)
+   * @param {?number} options.maxZoom, largest zoom level, e.g. 10 to show a tenth of the plot at least (default: no limit)
+   * @param {?boolean} options.clampToData, keep panning within the plot (default: false)
+   * @memberof BaseGL
+   * @example
+   * plot.setZoomOptions({ axis: "x", maxZoom: 50, clampToData: true });
+   */
+  setZoomOptions(options) {
+    const zoomOptions = { ...this.zoomOptions, ...options };
+    zoomOptions.maxZoom = zoomOptions.maxZoom ?? null;
+    const { axis, minZoom, maxZoom } = zoomOptions;
+
+    if (!["x", "y", "both"].includes(axis)) {
+      throw `${axis} needs to be one of x, y or both`;
+    }
+
+    if (typeof minZoom !== "number" || !(minZoom >= 1)) {
+      throw `minZoom needs to be a number of at least 1`;
+    }
+
+    if (
+      maxZoom !== null &&
+      (typeof maxZoom !== "number" || maxZoom < minZoom)
+    ) {
+      throw `maxZoom needs to be a number larger than minZoom`;
+    }
+
+    this.zoomOptions = zoomOptions;
+    this.plot.setViewOptions({
+      lockedX: axis === "y",
+      lockedY: axis === "x",
+      maxZoomLevel: maxZoom,
+    });
+
+    if (this._spec) {
+      this._setViewport(this._constrainViewport(this.viewport || {}));
+    }
+  }
+
+  /**
+   * Apply the zoom limits and the clamping of `zoomOptions` to a viewport.
+   * Axes locked by `zoomOptions.axis` keep their current range.
+   *
+   * @param {object} viewport, the `xRange` and `yRange` to constrain, the current ones when missing
+   * @return {object} the constrained `xRange` and `yRange`
+   * @memberof BaseGL
+   */
+  _constrainViewport(viewport) {
+    return constrainViewport(
+      viewport,
+      this.plot.mouseReader.getViewport(),
+      this.zoomOptions
+    );
+  }
+
+  /**
+   * Set the legend options for the visualization.
+   * @param {string} legentPosition, position of the legend, can be `top`, `bottom`, `left` or `right`
+   * @param {DOMElement} legendDomElement, the DOM element to use for the legend
+   **/
+  setIntensityLegendOptions(legentPosition, legendDomElement, width, height) {
+    this.isLegendDomElementProvided = !!legendDomElement;
+    this.legendPosition = legentPosition;
+    this.legendWidth = width;
+    this.legendHeight = height;
+
+    if (!legendDomElement) {
+      this.legendDomElement = this.elem.lastChild;
+    } else this.legendDomElement = legendDomElement;
+  }
+
+  setRowGroupingLegendOptions(
+    legendPosition,
+    legendDomElement,
+    labelDomElement,
+    labelOrientation
+  ) {
+    this.isRowGroupingLegendDomElementProvided = !!legendDomElement;
     this.rowGroupingLegendPosition = legendPosition;
     this.rowGroupingLabelDomElement = labelDomElement;
     this.rowGroupingLabelOrientation = labelOrientation;
@@ -507,6 +2191,14 @@ class BaseGL {
    * @param {number} labelOptions.columnLabelSlintAngle, slint angle for column labels (default: 0)
    * @param {string | number} labelOptions.rowLabelFontSize, font size for row labels (default: 7px)
    * @param {string | number} labelOptions.columnLabelFontSize, font size for column labels (default: 7px)
+   * @param {string} labelOptions.rowLabelPosition, side of the row labels, `left` (default), `right` or `both`
+   * @param {string} labelOptions.columnLabelPosition, side of the column labels, `top` (default), `bottom` or `both`
+   * @param {?number} labelOptions.rowLabelMaxWidth, maximum width of row labels in px, wider labels end with "…", replaces `rowLabelMaxCharacters`
+   * @param {?number} labelOptions.columnLabelMaxWidth, maximum width of column labels in px, wider labels end with "…", replaces `columnLabelMaxCharacters`
+   * @param {?Function} labelOptions.labelFormatter, `(label, index, axis) => text` sets the text of each label,
+   *  `index` is the row/column in input order and `axis` either `row` or `column`
+   * @param {?Function} labelOptions.labelStyle, `(label, index, axis) => attributes` sets svg attributes of each label,
+   *  e.g. `fill`, `font-style`, `font-weight` or `font-size`
    *
    * @memberof BaseGL
    * @example
@@ -534,15 +2226,294 @@ class BaseGL {
    * columnLabelSlintAngle: 0,
    * rowLabelFontSize: "7px",
    * columnLabelFontSize: "7em",
+   * rowLabelPosition: "right",
+   * columnLabelPosition: "both",
+   * rowLabelMaxWidth: 80,
+   * labelFormatter: (label, index, axis) => label.toUpperCase(),
+   * labelStyle: (label, index, axis) => (axis === "row" ? { "font-style": "italic" } : {}),
    * })
    **/
   setLabelOptions(labelOptions) {
+    if (
+      labelOptions.rowLabelPosition &&
+      !["left", "right", "both"].includes(labelOptions.rowLabelPosition)
+    ) {
+      throw `${labelOptions.rowLabelPosition} needs to be one of left, right or both`;
+    }
+
+    if (
+      labelOptions.columnLabelPosition &&
+      !["top", "bottom", "both"].includes(labelOptions.columnLabelPosition)
+    ) {
+      throw `${labelOptions.columnLabelPosition} needs to be one of top, bottom or both`;
+    }
+
+    ["labelFormatter", "labelStyle"].forEach((key) => {
+      if (labelOptions[key] && typeof labelOptions[key] !== "function") {
+        throw `${key} needs to be a function`;
+      }
+    });
+
+    ["rowLabelMaxWidth", "columnLabelMaxWidth"].forEach((key) => {
+      const maxWidth = labelOptions[key];
+      if (maxWidth && !(typeof maxWidth === "number" && maxWidth > 0)) {
+        throw `${key} needs to be a positive number`;
+      }
+    });
+
     this.labelOptions = {
       ...this.labelOptions,
       ...labelOptions,
     };
   }
 
+  /**
+   * Set the titles drawn in the margins: a plot title and subtitle above the plot,
+   * and axis titles next to the row and column labels. Space is kept for them
+   * when the plot is rendered.
+   *
+   * @param {object} titles, the titles, null to remove one
+   * @param {?string} titles.title, title of the plot
+   * @param {?string} titles.subtitle, subtitle of the plot, below its title
+   * @param {?string} titles.rowTitle, title of the rows, on the side of the row labels (left when on both sides)
+   * @param {?string} titles.columnTitle, title of the columns, on the side of the column labels (top when on both sides)
+   * @memberof BaseGL
+   * @example
+   * plot.setTitles({
+   *   title: "Expression",
+   *   subtitle: "log counts per million",
+   *   rowTitle: "Genes",
+   *   columnTitle: "Samples",
+   * });
+   */
+  setTitles(titles) {
+    Object.entries(titles).forEach(([key, title]) => {
+      if (!(key in this.titles)) {
+        throw `${key} needs to be one of ${Object.keys(this.titles).join(
+          ", "
+        )}`;
+      }
+
+      if (title !== null && title !== undefined && typeof title !== "string") {
+        throw `${key} needs to be a string or null`;
+      }
+    });
+
+    this.titles = {
+      ...this.titles,
+      ...titles,
+    };
+  }
+
+  /**
+   * Choose which labels of the rows or columns are shown. Only the labels of
+   * the visible rows and columns are added to the page, so plots with many
+   * rows and columns stay fast.
+   *
+   * @param {string} axis, either `row` or `column`
+   * @param {object} layout, the layout of the labels
+   * @param {?string} layout.mode, `auto` (default) hides the labels that would overlap and reveals them
+   *  when zooming in, `all` shows every label, `nth` every nth label, `list` the listed labels
+   * @param {?number} layout.every, show every nth label as displayed, for the `nth` mode (default: 1)
+   * @param {?Array<string|number>} layout.labels, labels to show or their indices in input order, for the `list` mode
+   * @memberof BaseGL
+   * @example
+   * plot.setLabelLayout("row", { mode: "list", labels: ["TP53", "BRCA1"] });
+   * plot.setLabelLayout("column", { mode: "nth", every: 5 });
+   */
+  setLabelLayout(axis, layout) {
+    if (!["row", "column"].includes(axis)) {
+      throw `${axis} needs to be either row or column`;
+    }
+
+    this.labelLayout[axis] = prepareLabelLayout(layout);
+    this.renderLabels();
+  }
+
+  /**
+   * Find rows or columns by their label, ignoring case. Zooms to the best match
+   * and flashes its label.
+   *
+   * @param {string} query, the label to find
+   * @param {?object} options, search options
+   * @param {?string} options.axis, `row`, `column` or `both` (default), rows come first
+   * @param {?boolean} options.fuzzy, also match labels starting with the query, containing it,
+   *  or containing its characters in order (default: false)
+   * @param {?boolean} options.zoom, zoom to the best match (default: true)
+   * @param {?boolean} options.highlight, highlight the cells of the best match (default: false)
+   * @param {?boolean} options.flash, flash the label of the best match (default: true)
+   * @return {Array<object>} the matches, best first: their `axis`, `index` in input order,
+   *  `position` as displayed and `label`
+   * @memberof BaseGL
+   * @example
+   * const [match] = plot.findLabel("tp53", { axis: "row", highlight: true });
+   */
+  findLabel(query, options = {}) {
+    const {
+      axis = "both",
+      fuzzy = false,
+      zoom = true,
+      highlight = false,
+      flash = true,
+    } = options;
+
+    if (!["row", "column", "both"].includes(axis)) {
+      throw `${axis} needs to be one of row, column or both`;
+    }
+
+    const matches = ["row", "column"]
+      .filter((a) => axis === "both" || axis === a)
+      .flatMap((a) => {
+        const labels = this.input[a === "row" ? "ylabels" : "xlabels"];
+        const order = this._getOrder(a);
+        return matchLabels(labels, query, fuzzy).map((position) => ({
+          axis: a,
+          index: order[position],
+          position,
+          label: labels[position],
+        }));
+      });
+
+    const best = matches[0];
+    if (!best || !this._spec) return matches;
+
+    if (zoom) {
+      // the match and a few rows/columns around it
+      const last = this._getOrder(best.axis).length - 1;
+      const range = this._getRangeOfPositions(best.axis, [
+        Math.max(best.position - LABEL_SEARCH_CONTEXT, 0),
+        Math.min(best.position + LABEL_SEARCH_CONTEXT, last),
+      ]);
+      this.setViewport(
+        best.axis === "row" ? { yRange: range } : { xRange: range }
+      );
+    }
+
+    if (highlight) {
+      this.highlightIndices(
+        best.axis === "row"
+          ? this._getIndicesForRow(best.position)
+          : this._getIndicesForColumn(best.position),
+        null,
+        true
+      );
+    }
+
+    if (flash) this._flashLabel(best.axis, best.position);
+
+    return matches;
+  }
+
+  /**
+   * Show a label in bold and in color for a moment, even if it is hidden by `setLabelLayout`.
+   *
+   * @param {string} axis, either `row` or `column`
+   * @param {number} position, position of the row/column as displayed
+   * @memberof BaseGL
+   */
+  _flashLabel(axis, position) {
+    // labels drawn on both sides of the plot flash together
+    const labels = (this._spec.labels || []).filter(
+      (l) => l.index === position && (l.type === "row") === (axis === "column")
+    );
+    if (!labels.length) return;
+
+    // back to the style of the labels, null removes the attributes
+    const restore = (flashed) => {
+      clearTimeout(flashed.timeout);
+      flashed.labels.forEach((label) => {
+        const style = this._labelFormats.get(label)?.style || {};
+        label["font-weight"] = style["font-weight"] ?? null;
+        label.fill = style.fill ?? null;
+      });
+    };
+    if (this._flashedLabel) restore(this._flashedLabel);
+
+    const flashed = { axis, position, labels };
+    this._flashedLabel = flashed;
+    labels.forEach((label) => {
+      label["font-weight"] = "bold";
+      label.fill = DEFAULT_LABEL_FLASH_COLOR;
+    });
+    this.renderLabels();
+
+    flashed.timeout = setTimeout(() => {
+      restore(flashed);
+      this._flashedLabel = null;
+      this.renderLabels();
+    }, LABEL_FLASH_DURATION_IN_MS);
+  }
+
+  /**
+   * Show a search box over the plot, suggesting labels while typing.
+   * Choosing a label zooms to it, as `findLabel` does.
+   *
+   * @param {?object} options, search options
+   * @param {?string} options.axis, `row`, `column` or `both` (default)
+   * @param {?boolean} options.highlight, highlight the cells of the found row/column (default: false)
+   * @param {?string} options.placeholder, text shown in the empty search box (default: Search labels)
+   * @memberof BaseGL
+   * @example
+   * plot.enableSearchBox({ axis: "row", highlight: true });
+   */
+  enableSearchBox(options = {}) {
+    const {
+      axis = "both",
+      highlight = false,
+      placeholder = "Search labels",
+    } = options;
+    this.disableSearchBox();
+
+    const container = select(this.elem.lastChild)
+      .append("div")
+      .attr("id", SEARCH_BOX_IDENTIFIER)
+      .style("position", "absolute")
+      .style("top", "0px")
+      .style("left", "0px")
+      .style("z-index", 1);
+
+    const listId = `${SEARCH_BOX_IDENTIFIER}-${Math.random()
+      .toString(36)
+      .slice(2)}`;
+    const suggestions = container.append("datalist").attr("id", listId);
+    const input = container
+      .append("input")
+      .attr("type", "search")
+      .attr("list", listId)
+      .attr("placeholder", placeholder)
+      .style("font-size", "12px");
+
+    // suggest the best matches only, labels can be many
+    input.on("input", () => {
+      const matches = this.findLabel(input.property("value"), {
+        axis,
+        fuzzy: true,
+        zoom: false,
+        flash: false,
+      }).slice(0, SEARCH_BOX_MAX_SUGGESTIONS);
+
+      suggestions
+        .selectAll("option")
+        .data(matches)
+        .join("option")
+        .attr("value", (match) => match.label);
+    });
+
+    input.on("change", () =>
+      this.findLabel(input.property("value"), { axis, fuzzy: true, highlight })
+    );
+  }
+
+  /**
+   * Remove the search box.
+   * @memberof BaseGL
+   * @example
+   * plot.disableSearchBox();
+   */
+  disableSearchBox() {
+    select(this.elem.lastChild).select(`#${SEARCH_BOX_IDENTIFIER}`).remove();
+  }
+
   /**
    * Set the margins for the visualization.
    * all properties are optional, if not provided, the default values will be used.
@@ -590,20 +2561,588 @@ class BaseGL {
   attachResizeEvent() {
     var self = this;
     // set window timesize event once
-    let resizeTimeout;
-    window.addEventListener("resize", () => {
+    if (this._resizeListener) return;
+
+    this._resizeListener = () => {
       // similar to what we do in epiviz
-      if (resizeTimeout) {
-        clearTimeout(resizeTimeout);
+      if (self._resizeTimeout) {
+        clearTimeout(self._resizeTimeout);
       }
 
-      resizeTimeout = setTimeout(() => {
+      self._resizeTimeout = setTimeout(() => {
         self.resize(
           self.elem.parentNode.clientWidth,
           self.elem.parentNode.clientHeight
         );
       }, 500);
+    };
+    window.addEventListener("resize", this._resizeListener);
+  }
+
+  /**
+   * Re-layout the plot whenever its element is resized, e.g. in a resizable pane.
+   * Margins, labels, legends and grouping bars are computed again for the new size,
+   * the current zoom is kept.
+   *
+   * @param {boolean} enabled, observe the size of the element
+   * @param {?number} debounce, time to wait for the resizing to end, in ms (default: 200)
+   * @memberof BaseGL
+   * @example
+   * plot.setAutoResize(true);
+   */
+  setAutoResize(enabled, debounce = DEFAULT_RESIZE_DEBOUNCE_IN_MS) {
+    if (this._resizeObserver) {
+      this._resizeObserver.disconnect();
+      clearTimeout(this._autoResizeTimeout);
+      this._resizeObserver = null;
+    }
+
+    if (!enabled) return;
+
+    let { clientWidth: width, clientHeight: height } = this.elem;
+    this._resizeObserver = new ResizeObserver(() => {
+      // also called once when observing starts
+      if (
+        this.elem.clientWidth === width &&
+        this.elem.clientHeight === height
+      ) {
+        return;
+      }
+      ({ clientWidth: width, clientHeight: height } = this.elem);
+
+      clearTimeout(this._autoResizeTimeout);
+      this._autoResizeTimeout = setTimeout(() => this._relayout(), debounce);
+    });
+    this._resizeObserver.observe(this.elem);
+  }
+
+  /**
+   * Render the plot again to fit the size of its element, keeping the current zoom.
+   * @memberof BaseGL
+   */
+  _relayout() {
+    if (!this._spec) return;
+
+    const viewport = this.viewport;
+    this.render();
+    if (viewport) {
+      this.plot.setViewOptions({
+        currentXRange: viewport.xRange,
+        currentYRange: viewport.yRange,
+      });
+      this._updateSVG();
+    }
+  }
+
+  /**
+   * Export the plot as it is displayed, with its current zoom, into a single image:
+   * the cells, the labels, and the legends, dendrograms, annotations and
+   * marginal plots rendered next to the plot. Cells are drawn as vector shapes,
+   * legends rendered in elements given through the options are not included.
+   *
+   * @param {object} options, export options
+   * @param {string} options.format, either `png` (default) or `svg`
+   * @param {number} options.scale, pixels per px of the plot for `png` images, e.g. 2 for high resolution (default: 1)
+   * @return {Promise<Blob>} the image
+   * @memberof BaseGL
+   * @example
+   * const image = await plot.exportImage({ format: "png", scale: 2 });
+   * const link = document.createElement("a");
+   * link.href = URL.createObjectURL(image);
+   * link.download = "heatmap.png";
+   * link.click();
+   */
+  async exportImage(options = {}) {
+    const { format = "png", scale = 1 } = options;
+
+    if (!["png", "svg"].includes(format)) {
+      throw `format needs to be either png or svg`;
+    }
+
+    if (typeof scale !== "number" || !(scale > 0)) {
+      throw `scale needs to be a positive number`;
+    }
+
+    if (!this._spec) {
+      throw `the plot needs to be rendered before it is exported`;
+    }
+
+    const { clientWidth: width, clientHeight: height } = this.elem;
+    const parsedMargins = parseMargins(this._spec.margins);
+    const plotWidth = width - parsedMargins.left - parsedMargins.right;
+    const plotHeight = height - parsedMargins.top - parsedMargins.bottom;
+
+    const svg = createSvg(width, height).style(
+      "font-family",
+      window.getComputedStyle(this.elem).fontFamily
+    );
+    svg
+      .append("rect")
+      .attr("width", width)
+      .attr("height", height)
+      .attr("fill", "white");
+
+    // the cells, clipped to the plot area
+    const cells = svg
+      .append("svg")
+      .attr("x", parsedMargins.left)
+      .attr("y", parsedMargins.top)
+      .attr("width", plotWidth)
+      .attr("height", plotHeight)
+      .append("g");
+    const view = {
+      xRange: this.viewport?.xRange || this.xAxisRange,
+      yRange: this.viewport?.yRange || this.yAxisRange,
+      xDomain: this.xAxisRange,
+      yDomain: this.yAxisRange,
+      width: plotWidth,
+      height: plotHeight,
+    };
+    const backgroundTrack = this._generateZeroBackgroundTrack(this._spec);
+    if (backgroundTrack) {
+      appendTrackMarks(cells, backgroundTrack, backgroundTrack.data, view);
+    }
+    this._spec.tracks.forEach((track) =>
+      appendTrackMarks(cells, track, track.data || this._spec.defaultData, view)
+    );
+
+    // labels, legends and everything rendered next to the canvas
+    const origin = this.elem.getBoundingClientRect();
+    this.plot.parent.querySelectorAll(":scope > svg").forEach((node) => {
+      if (node.id === CROSSHAIR_IDENTIFIER) return;
+
+      const bounds = node.getBoundingClientRect();
+      if (bounds.width === 0 || bounds.height === 0) return;
+
+      const copy = node.cloneNode(true);
+      copy.removeAttribute("style");
+      copy.setAttribute("x", bounds.left - origin.left);
+      copy.setAttribute("y", bounds.top - origin.top);
+      copy.setAttribute("width", bounds.width);
+      copy.setAttribute("height", bounds.height);
+      copy.setAttribute("overflow", window.getComputedStyle(node).overflow);
+      svg.node().appendChild(copy);
+    });
+
+    if (format === "svg") {
+      return new Blob([new XMLSerializer().serializeToString(svg.node())], {
+        type: "image/svg+xml",
+      });
+    }
+
+    return svgToPng(svg.node(), scale);
+  }
+
+  /**
+   * Export cells as a table: the index of each cell, its `row` and `column`
+   * (in input order), its `rowLabel` and `columnLabel`, its `x` and `y`
+   * positions as displayed, and its encoded `value` (the source of its color),
+   * `color` (as `#rrggbb`), `size` and `opacity`.
+   *
+   * @param {object} options, export options
+   * @param {Array<number>|string} options.indices, indices of the cells, or `selection`
+   *  (the last box or lasso selection, default), `highlighted` or `visible` (the cells in the current zoom)
+   * @param {string} options.format, either `csv` (default), `tsv` or `json`
+   * @return {string} the table
+   * @memberof BaseGL
+   * @example
+   * const genes = plot.exportData({ indices: "selection", format: "tsv" });
+   */
+  exportData(options = {}) {
+    const { indices = "selection", format = "csv" } = options;
+
+    let cellIndices;
+    if (isArrayOrTypedArray(indices)) {
+      cellIndices = Array.from(indices);
+      const count = this.input.x.length;
+      if (
+        !cellIndices.every((i) => Number.isInteger(i) && i >= 0 && i < count)
+      ) {
+        throw `indices must be integers between 0 and ${count - 1}`;
+      }
+    } else if (indices === "selection") {
+      cellIndices = this.selectedIndices;
+    } else if (indices === "highlighted") {
+      cellIndices = this.highlightedIndices;
+    } else if (indices === "visible") {
+      cellIndices = this._getVisibleIndices();
+    } else {
+      throw `indices needs to be an array of indices, selection, highlighted or visible`;
+    }
+
+    return formatData(
+      cellIndices.map((index) => this._getCellInfo(index)),
+      format
+    );
+  }
+
+  /**
+   * Copy cells to the clipboard, as exported by `exportData`.
+   *
+   * @param {object} options, export options, see `exportData` (default format: `tsv`, to paste into spreadsheets)
+   * @return {Promise<string>} the copied table
+   * @memberof BaseGL
+   * @example
+   * await plot.copyData({ indices: "highlighted" });
+   */
+  async copyData(options = {}) {
+    const data = this.exportData({ format: "tsv", ...options });
+    await navigator.clipboard.writeText(data);
+    return data;
+  }
+
+  /**
+   * Get the indices of the cells in the visible part of the plot.
+   *
+   * @return {Array<number>} indices of the cells, in input order
+   * @memberof BaseGL
+   */
+  _getVisibleIndices() {
+    // visible rows and columns, from their extent on a unit length
+    const isVisible = (axis) => {
+      const toPixel = this._getPositionToPixelScale(axis, 1);
+      const { slots } = this._getGridLayout(axis);
+      return Array.from(slots, (_, position) => {
+        const start = toPixel(position);
+        const end = toPixel(position + 1, true);
+        return Math.max(start, end) > 0 && Math.min(start, end) < 1;
+      });
+    };
+    const visibleColumns = isVisible("column");
+    const visibleRows = isVisible("row");
+
+    const indices = [];
+    for (let i = 0; i < this.input.x.length; i++) {
+      if (visibleColumns[this.input.x[i]] && visibleRows[this.input.y[i]]) {
+        indices.push(i);
+      }
+    }
+    return indices;
+  }
+
+  /**
+   * Render again everything drawn around the plot that follows pan and zoom.
+   * @memberof BaseGL
+   */
+  _renderViewportLayers() {
+    this.renderLabels();
+    this.renderRowGroupingLegend();
+    this.renderColumnGroupingLegend();
+    this.renderDendrograms();
+    this.renderAnnotationTracks();
+    this.renderMarginalPlots();
+    this.renderPanelTitles();
+    this.renderCrosshair();
+  }
+
+  /**
+   * Show a part of the plot, as panning and zooming do. Emits `viewportChange`.
+   *
+   * @param {object} viewport, the part of the plot to show
+   * @param {?Array<number>} viewport.xRange, visible range along x, in plot coordinates (default: the current range)
+   * @param {?Array<number>} viewport.yRange, visible range along y, in plot coordinates (default: the current range)
+   * @param {?object} options, how to move to the viewport
+   * @param {?boolean|number} options.animate, move smoothly, true or the duration in ms (default: false)
+   * @return {Promise} resolves once the viewport is shown
+   * @memberof BaseGL
+   * @example
+   * plot.setViewport({ xRange: [-1, 0], yRange: [0, 1] }, { animate: true });
+   */
+  setViewport(viewport, options = {}) {
+    if (!this._spec) {
+      throw `the plot needs to be rendered before its viewport is set`;
+    }
+
+    const { minX, maxX, minY, maxY } = this.plot.mouseReader.getViewport();
+    const current = this.viewport || {
+      xRange: [minX, maxX],
+      yRange: [minY, maxY],
+    };
+
+    const target = this._constrainViewport({
+      xRange: clampRange(
+        viewport.xRange,
+        current.xRange,
+        [minX, maxX],
+        "xRange"
+      ),
+      yRange: clampRange(
+        viewport.yRange,
+        current.yRange,
+        [minY, maxY],
+        "yRange"
+      ),
+    });
+
+    this._cancelViewportAnimation();
+
+    const duration =
+      options.animate === true
+        ? DEFAULT_VIEWPORT_ANIMATION_DURATION_IN_MS
+        : options.animate || 0;
+    if (!(duration > 0)) {
+      this._setViewport(target);
+      this._emit("viewportChange", this.viewport);
+      return Promise.resolve();
+    }
+
+    const start = {
+      xRange: [...current.xRange],
+      yRange: [...current.yRange],
+    };
+    const interpolate = (from, to, t) =>
+      from.map((v, i) => v + (to[i] - v) * t);
+
+    return new Promise((resolve) => {
+      const startTime = performance.now();
+      const step = (time) => {
+        const progress = Math.min(
+          Math.max((time - startTime) / duration, 0),
+          1
+        );
+        // ease in and out (cubic)
+        const t =
+          progress < 0.5 ? 4 * progress ** 3 : 1 - (-2 * progress + 2) ** 3 / 2;
+
+        this._setViewport({
+          xRange: interpolate(start.xRange, target.xRange, t),
+          yRange: interpolate(start.yRange, target.yRange, t),
+        });
+        this._emit("viewportChange", this.viewport);
+
+        // a listener may have moved the viewport elsewhere
+        if (this._viewportAnimation?.resolve !== resolve) return;
+
+        if (progress < 1) {
+          this._viewportAnimation.frame = requestAnimationFrame(step);
+        } else {
+          this._viewportAnimation = null;
+          resolve();
+        }
+      };
+
+      this._viewportAnimation = {
+        frame: requestAnimationFrame(step),
+        resolve,
+      };
+    });
+  }
+
+  /**
+   * Show the whole plot.
+   *
+   * @param {?object} options, see `setViewport`
+   * @return {Promise} resolves once the viewport is shown
+   * @memberof BaseGL
+   * @example
+   * plot.resetViewport({ animate: true });
+   */
+  resetViewport(options = {}) {
+    const { minX, maxX, minY, maxY } = this.plot.mouseReader.getViewport();
+    return this.setViewport(
+      { xRange: [minX, maxX], yRange: [minY, maxY] },
+      options
+    );
+  }
+
+  /**
+   * Zoom to rows, keeping the visible columns.
+   *
+   * @param {Array<number>} rows, indices of the rows in input order, e.g. `[i, j]`.
+   *  The viewport spans from the first to the last of them as displayed
+   * @param {?object} options, see `setViewport`
+   * @return {Promise} resolves once the viewport is shown
+   * @memberof BaseGL
+   * @example
+   * plot.zoomToRows([10, 20], { animate: true });
+   */
+  zoomToRows(rows, options = {}) {
+    return this.setViewport(
+      {
+        yRange: this._getRangeOfPositions(
+          "row",
+          this._getPositionsOfIndices("row", rows)
+        ),
+      },
+      options
+    );
+  }
+
+  /**
+   * Zoom to columns, keeping the visible rows.
+   *
+   * @param {Array<number>} columns, indices of the columns in input order, e.g. `[i, j]`.
+   *  The viewport spans from the first to the last of them as displayed
+   * @param {?object} options, see `setViewport`
+   * @return {Promise} resolves once the viewport is shown
+   * @memberof BaseGL
+   * @example
+   * plot.zoomToColumns([0, 4]);
+   */
+  zoomToColumns(columns, options = {}) {
+    return this.setViewport(
+      {
+        xRange: this._getRangeOfPositions(
+          "column",
+          this._getPositionsOfIndices("column", columns)
+        ),
+      },
+      options
+    );
+  }
+
+  /**
+   * Zoom to the rows and columns of the last box or lasso selection.
+   * Does nothing without a selection.
+   *
+   * @param {?object} options, see `setViewport`
+   * @return {Promise} resolves once the viewport is shown
+   * @memberof BaseGL
+   * @example
+   * plot.zoomToSelection({ animate: true });
+   */
+  zoomToSelection(options = {}) {
+    if (!this.selectedIndices.length) return Promise.resolve();
+
+    return this.setViewport(
+      {
+        xRange: this._getRangeOfPositions(
+          "column",
+          this.selectedIndices.map((i) => this.input.x[i])
+        ),
+        yRange: this._getRangeOfPositions(
+          "row",
+          this.selectedIndices.map((i) => this.input.y[i])
+        ),
+      },
+      options
+    );
+  }
+
+  /**
+   * Get the positions of rows or columns as displayed.
+   *
+   * @param {string} axis, either `row` or `column`
+   * @param {Array<number>} indices, indices of the rows/columns in input order
+   * @return {Array<number>} the position of each row/column
+   * @memberof BaseGL
+   */
+  _getPositionsOfIndices(axis, indices) {
+    const order = this._getOrder(axis);
+    if (
+      !isArrayOrTypedArray(indices) ||
+      indices.length === 0 ||
+      !Array.from(indices).every(
+        (i) => Number.isInteger(i) && i >= 0 && i < order.length
+      )
+    ) {
+      throw `${axis}s need to be indices between 0 and ${order.length - 1}`;
+    }
+
+    const positions = new Array(order.length);
+    order.forEach((index, position) => (positions[index] = position));
+    return Array.from(indices, (i) => positions[i]);
+  }
+
+  /**
+   * Get the range in plot coordinates spanning rows or columns, from the first
+   * to the last of them.
+   *
+   * @param {string} axis, either `row` or `column`
+   * @param {Array<number>} positions, positions of the rows/columns as displayed
+   * @return {Array<number>} the range, increasing
+   * @memberof BaseGL
+   */
+  _getRangeOfPositions(axis, positions) {
+    let first = Infinity;
+    let last = -Infinity;
+    positions.forEach((position) => {
+      first = Math.min(first, position);
+      last = Math.max(last, position);
+    });
+
+    const toAxis = this._getPositionToAxisScale(axis);
+    return [toAxis(first), toAxis(last + 1, true)].sort((a, b) => a - b);
+  }
+
+  /**
+   * Stop an animated viewport change where it is.
+   * @memberof BaseGL
+   */
+  _cancelViewportAnimation() {
+    if (!this._viewportAnimation) return;
+
+    cancelAnimationFrame(this._viewportAnimation.frame);
+    this._viewportAnimation.resolve();
+    this._viewportAnimation = null;
+  }
+
+  /**
+   * Show a part of the plot, without emitting a `viewportChange` event.
+   *
+   * @param {object} viewport, the visible `xRange` and `yRange`
+   * @memberof BaseGL
+   */
+  _setViewport(viewport) {
+    this.plot.setViewOptions({
+      currentXRange: [...viewport.xRange],
+      currentYRange: [...viewport.yRange],
+    });
+    this._updateSVG();
+    this.viewport = this.plot.mouseReader.getViewport();
+    this._renderViewportLayers();
+  }
+
+  /**
+   * Remove the plot from the page: terminate the workers, and remove the canvas,
+   * the legends, the tooltips, the listeners and the resize observer. The plot can not be used afterwards.
+   * @memberof BaseGL
+   * @example
+   * plot.destroy();
+   */
+  destroy() {
+    if (this._resizeListener) {
+      window.removeEventListener("resize", this._resizeListener);
+      clearTimeout(this._resizeTimeout);
+      this._resizeListener = null;
+    }
+    this.elem.removeEventListener("mouseleave", this._onMouseLeave);
+    this.setAutoResize(false);
+    this._cancelViewportAnimation();
+    clearTimeout(this._flashedLabel?.timeout);
+    this.disableLabelDragging();
+
+    this.plot.dataWorker.terminate();
+    this.plot.webglWorker.terminate();
+    if (this.clusteringWorker) {
+      this.clusteringWorker.terminate();
+      this.clusteringWorker = null;
+
+      // the terminated worker never answers the pending requests
+      this._clusteringRequests.forEach((reject) =>
+        reject(`the plot was destroyed before clustering finished`)
+      );
+      this._clusteringRequests.clear();
+    }
+
+    this.tooltipInstance.destroy();
+    this._emitter.clear();
+
+    // legends rendered in elements given through the options
+    [
+      [this.legendDomElement, INTENSITY_LEGEND_IDENTIFIER],
+      [this.rowGroupingLegendDomElement, ROW_GROUPING_LEGEND_IDENTIFIER],
+      [this.columnGroupingLegendDomElement, COLUMN_GROUPING_LEGEND_IDENTIFIER],
+      [this.annotationOptions.legendDomElement, ANNOTATION_LEGEND_IDENTIFIER],
+    ].forEach(([element, identifier]) => {
+      if (element) select(element).select(`#${identifier}`).remove();
     });
+    [this.rowGroupingLabelDomElement, this.columnGroupingLabelDomElement]
+      .filter((element) => element)
+      .forEach((element) => select(element).select("svg").remove());
+
+    // the canvas and everything rendered next to it
+    this.plot.parent.remove();
   }
 
   /**
@@ -614,8 +3153,8 @@ class BaseGL {
    * @memberof BaseGL
    */
   render(width, height) {
-    var self = this;
     this._spec = this.generateSpec();
+    this._renderSortIndicator();
 
     if (width) {
       this._spec.width = width;
@@ -650,93 +3189,235 @@ class BaseGL {
       );
     }
 
+    this.renderDendrograms();
+    this.renderAnnotationTracks();
+    this.renderAnnotationLegends();
+    this.renderMarginalPlots();
+    this.renderPanelTitles();
+    this.renderTitles();
+    this.renderCrosshair();
+
     if (this._renderCount == 0) {
-      this.plot.setSpecification(this._spec);
+      this._setSpecification(this._spec);
     } else {
-      this.plot.updateSpecification(this._spec);
+      this._updateSpecification(this._spec);
     }
+    this.renderLabels();
+  }
 
-    this.plot.addEventListener("pointHovered", (e) => {
-      const hdata = e.detail.data;
-      e.preventDefault();
+  /**
+   * Generate the track that fills the background of a sparse matrix
+   * with the color of its implicit zeros.
+   *
+   * @param {object} spec, the specification object
+   * @return {?object} the background track, null if the input is not a sparse matrix
+   * @memberof BaseGL
+   */
+  _generateZeroBackgroundTrack(spec) {
+    if (!this.matrix || !this.matrix.sparse) {
+      return null;
+    }
 
-      self.hoverCallback(hdata);
+    // the background spans the full domain of the cells, [-1, 1] unless quantitative
+    const channel = (cellChannel) => ({
+      attribute: cellChannel.attribute,
+      type: "quantitative",
+      domain:
+        cellChannel.type === "quantitative" ? cellChannel.domain : [-1, 1],
     });
+    const x = channel(spec.tracks[0].x);
+    const y = channel(spec.tracks[0].y);
+
+    // one rect per panel, so the gaps between panels stay empty
+    const extents = (axis, domain) => {
+      const { slots, total, panels } = this._getGridLayout(axis);
+      return panels.map(({ start, end }) => ({
+        start: domain[0] + ((domain[1] - domain[0]) * slots[start]) / total,
+        size: (200 * (slots[end] + 1 - slots[start])) / total,
+      }));
+    };
+    const columnExtents = extents("column", x.domain);
+    const rowExtents = extents("row", y.domain);
+
+    const data = {
+      [x.attribute]: [],
+      [y.attribute]: [],
+      width: [],
+      height: [],
+    };
+    rowExtents.forEach((row) =>
+      columnExtents.forEach((column) => {
+        data[x.attribute].push(column.start);
+        data[y.attribute].push(row.start);
+        data.width.push(column.size);
+        data.height.push(row.size);
+      })
+    );
 
-    this.plot.addEventListener("pointClicked", (e) => {
-      e.preventDefault();
+    return {
+      mark: "rect",
+      data,
+      x,
+      y,
+      color: {
+        value:
+          this.zeroColor ||
+          (this.colorScale
+            ? this.colorScale.color(0)
+            : DEFAULT_SPARSE_ZERO_COLOR),
+      },
+      opacity: { value: 1 },
+      width: { attribute: "width", type: "inline" },
+      height: { attribute: "height", type: "inline" },
+    };
+  }
 
-      const hdata = e.detail.data;
+  /**
+   * Set the specification on epiviz.gl.
+   * For sparse matrices, the background track is only sent to the webgl worker.
+   * The data worker indexes the cells alone, so that hovering or clicking
+   * the background never shadows a cell.
+   *
+   * @param {object} spec, the specification object
+   * @memberof BaseGL
+   */
+  _setSpecification(spec) {
+    this.plot.setSpecification(spec);
+
+    // only the drawing includes the background, the data stays indexed without it
+    const backgroundTrack = this._generateZeroBackgroundTrack(spec);
+    if (backgroundTrack) {
+      this.plot.updateSpecification({
+        ...spec,
+        tracks: [backgroundTrack, ...spec.tracks],
+      });
+    }
+  }
 
-      // Only run this code if hi
-      if (hdata && hdata.indices.length > 0 && this.nrows) {
-        const index = hdata.indices[0]; // handle only one point
-        const col = Math.floor(index / this.nrows);
-        const row = index % this.nrows;
+  /**
+   * Update the specification on epiviz.gl, without re-indexing the data.
+   *
+   * @param {object} spec, the specification object
+   * @memberof BaseGL
+   */
+  _updateSpecification(spec) {
+    const backgroundTrack = this._generateZeroBackgroundTrack(spec);
+    this.plot.updateSpecification(
+      backgroundTrack
+        ? { ...spec, tracks: [backgroundTrack, ...spec.tracks] }
+        : spec
+    );
+  }
 
-        // Invert row, considering X axis starts from bottom up
-        const rowInverted = this.nrows - 1 - row;
-        hdata["row"] = rowInverted;
-        hdata["col"] = col;
-      }
+  /**
+   * Redraw the svg epiviz.gl draws over the plot, with its labels.
+   * epiviz.gl (1.0.x) has no public API for this, so this relies on
+   * its internals (`mouseReader._updateSVG`).
+   * @memberof BaseGL
+   */
+  _updateSVG() {
+    this.plot.mouseReader._updateSVG();
+  }
 
-      if (this.highlightEnabled && hdata && hdata.indices.length > 0) {
-        const index = hdata.indices[0];
-        const shouldHighlight = !this.indexStates[index]; // reverse the current state
-        this.indexStates[index] = shouldHighlight;
-        this.highlightIndices([index], shouldHighlight);
-      }
+  /**
+   * Show the labels of the visible rows and columns, as set by `setLabelLayout`.
+   * Called again when panning and zooming, so hidden labels are revealed
+   * as space allows.
+   * @memberof BaseGL
+   */
+  renderLabels() {
+    if (!this._spec || !this._spec.labels) return;
+
+    const mouseReader = this.plot.mouseReader;
+    const { width, height, minX, maxX, minY, maxY } = mouseReader;
+
+    // label type `row` labels the columns, `column` the rows
+    const axisOf = (label) => (label.type === "row" ? "column" : "row");
+
+    // the labels are measured once for each specification
+    if (this._labelSpacing?.spec !== this._spec) {
+      const labelsOf = (axis) =>
+        this._spec.labels.filter((label) => axisOf(label) === axis);
+      this._labelSpacing = {
+        spec: this._spec,
+        row: getLabelSpacing(labelsOf("row"), false, LABEL_GAP_IN_PX),
+        column: getLabelSpacing(labelsOf("column"), true, LABEL_GAP_IN_PX),
+      };
+    }
 
-      self.clickCallback(hdata);
-    });
+    const isShown = {};
+    ["row", "column"].forEach((axis) => {
+      const { mode, every, labels } = this.labelLayout[axis];
+      const length = axis === "row" ? height : width;
+      const toPixel = this._getPositionToPixelScale(axis, length);
+      const order = this._getOrder(axis);
+      const names = this.input[axis === "row" ? "ylabels" : "xlabels"];
+
+      let stride = 1;
+      if (mode === "auto") {
+        const cellSize = Math.abs(toPixel(1, true) - toPixel(0));
+        stride = getLabelStride(this._labelSpacing[axis], cellSize);
+      } else if (mode === "nth") {
+        stride = every;
+      }
 
-    this.plot.addEventListener("labelClicked", (e) => {
-      e.preventDefault();
-      if (this.highlightEnabled && e && e.detail && e.detail.labelObject) {
-        const type = e.detail.labelObject.type;
-        const index = e.detail.labelObject.index;
-        const indices = [];
-        if (type === "column") {
-          for (let i = index; i < this.ncols * this.nrows; i += this.nrows) {
-            indices.push(i);
-          }
-        } else if (type === "row") {
-          for (let i = index * this.nrows; i < (index + 1) * this.nrows; i++) {
-            indices.push(i);
-          }
+      const flashed =
+        this._flashedLabel?.axis === axis ? this._flashedLabel.position : null;
+
+      isShown[axis] = (position) => {
+        if (position !== flashed && position % stride !== 0) return false;
+        if (
+          position !== flashed &&
+          mode === "list" &&
+          !labels.has(order[position]) &&
+          !labels.has(names?.[position])
+        ) {
+          return false;
         }
 
-        // Decide whether to highlight or unhighlight
-        const shouldHighlight = indices.some(
-          (index) => !this.indexStates[index]
-        );
-        indices.forEach((index) => (this.indexStates[index] = shouldHighlight));
-
-        this.highlightIndices(indices, shouldHighlight);
-      }
+        const start = toPixel(position);
+        const end = toPixel(position + 1, true);
+        return Math.max(start, end) > 0 && Math.min(start, end) < length;
+      };
     });
 
-    this.plot.addEventListener("labelHovered", (e) => {
-      const hoveredIndex = e.detail.labelObject.index;
-      const labelType = e.detail.labelObject.type;
-      e.preventDefault();
-
-      this.tooltipInstance.updateTooltip(
-        labelType === "row"
-          ? this.input.xlabels[hoveredIndex]
-          : this.input.ylabels[hoveredIndex],
-        e.detail.event.clientX,
-        e.detail.event.clientY
-      );
+    const labels = this._spec.labels.filter((label) =>
+      isShown[axisOf(label)](label.index)
+    );
 
-      this.labelHoveredCallback(e.detail);
-    });
+    this._setSVGLabels(
+      labels,
+      labels.map((label) => ((label.x - minX) / (maxX - minX)) * width),
+      labels.map(
+        (label) => height - ((label.y - minY) / (maxY - minY)) * height
+      )
+    );
+  }
 
-    this.plot.addEventListener("labelUnhovered", (e) => {
-      e.preventDefault();
-      this.tooltipInstance.hideTooltip();
-      this.labelUnhoveredCallback(e.detail);
-    });
+  /**
+   * Draw only some of the labels of the specification in the svg of epiviz.gl.
+   * epiviz.gl places labels along their fixed axis relative to the whole plot,
+   * computed once for all the labels of the specification, and has no public API
+   * to change the labels, so this sets them on its internals (`SVGInteractor`,
+   * as of epiviz.gl 1.0.18).
+   *
+   * @param {Array<object>} labels, the labels to draw
+   * @param {Array<number>} initialX, x of each label in px, used by the labels with `fixedX`
+   * @param {Array<number>} initialY, y of each label in px, used by the labels with `fixedY`
+   * @memberof BaseGL
+   */
+  _setSVGLabels(labels, initialX, initialY) {
+    const interactor = this.plot.mouseReader.SVGInteractor;
+    interactor.specification = { ...interactor.specification, labels };
+    interactor.initialX = initialX;
+    interactor.initialY = initialY;
+
+    // text elements beyond the labels would keep showing the labels now hidden
+    select(interactor._labelMarker)
+      .selectAll("text")
+      .filter((_, i) => i >= labels.length)
+      .remove();
+    this._updateSVG();
   }
 
   /**
@@ -918,7 +3599,6 @@ class BaseGL {
       this.elem.clientHeight - parsedMargins.top - parsedMargins.bottom;
 
     const legendWidth = GROUPING_LEGEND_SIZE_IN_PX;
-    const totalData = this.nrows; // total number of rows
 
     const svgWidth = legendWidth;
     const svgHeight = containerHeight;
@@ -934,44 +3614,13 @@ class BaseGL {
       .attr("height", svgHeight)
       .attr("overflow", "visible");
 
-    const yScale = scaleLinear()
-      .domain(visibleRange) // Input range is currently visible range
-      .range([svgHeight, 0]); // Output range is SVG height
-    const maxYRange = this.yAxisRange[1] - this.yAxisRange[0];
-    const minY = this.yAxisRange[0];
-
-    this.groupingRowData.forEach((group, idx) => {
-      const normalizedStart = (group.startIndex / totalData) * maxYRange + minY;
-      const normalizedEnd =
-        ((group.endIndex + 1) / totalData) * maxYRange + minY;
-
-      if (
-        normalizedEnd >= visibleRange[0] &&
-        normalizedStart <= visibleRange[1]
-      ) {
-        const rectStartInView = Math.max(normalizedStart, visibleRange[0]);
-        const rectEndInView = Math.min(normalizedEnd, visibleRange[1]);
-
-        const rectY = yScale(rectEndInView);
-        const rectHeight = Math.abs(
-          yScale(rectEndInView) - yScale(rectStartInView)
-        );
-        svgContainer
-          .append("rect")
-          .attr("x", 0)
-          .attr("y", rectY)
-          .attr("width", legendWidth)
-          .attr("height", rectHeight)
-          .style("fill", group.color)
-          .on("mousemove", (e) => {
-            const text = group.label;
-            this.tooltipInstance.updateTooltip(text, e.clientX, e.clientY);
-          })
-          .on("mouseout", (e) => {
-            this.tooltipInstance.hideTooltip();
-          });
-      }
-    });
+    this._appendSegments(
+      svgContainer,
+      "row",
+      this.groupingRowData,
+      svgHeight,
+      legendWidth
+    );
 
     if (!this.isRowGroupingLegendDomElementProvided) {
       svgContainer.style("position", "absolute").style(position, "0px");
@@ -1003,7 +3652,6 @@ class BaseGL {
     const containerWidth =
       this.elem.clientWidth - parsedMargins.left - parsedMargins.right;
     const legendHeight = GROUPING_LEGEND_SIZE_IN_PX;
-    const totalData = this.ncols; // total number of columns
 
     // Adjust the SVG size and the legend position according to the position parameter
     const svgWidth = containerWidth;
@@ -1021,47 +3669,13 @@ class BaseGL {
       .attr("height", svgHeight)
       .attr("overflow", "visible");
 
-    const xScale = scaleLinear()
-      .domain(visibleRange) // Input range is currently visible range
-      .range([0, svgWidth]); // Output range is SVG width
-
-    const maxXRange = this.xAxisRange[1] - this.xAxisRange[0];
-    const minX = this.xAxisRange[0];
-
-    this.groupingColumnData.forEach((group, idx) => {
-      const normalizedStart = (group.startIndex / totalData) * maxXRange + minX;
-      const normalizedEnd =
-        ((group.endIndex + 1) / totalData) * maxXRange + minX;
-
-      if (
-        normalizedEnd >= visibleRange[0] &&
-        normalizedStart <= visibleRange[1]
-      ) {
-        const rectStartInView = Math.max(normalizedStart, visibleRange[0]);
-        const rectEndInView = Math.min(normalizedEnd, visibleRange[1]);
-
-        const rectX = xScale(rectStartInView);
-        const rectWidth = Math.abs(
-          xScale(rectEndInView) - xScale(rectStartInView)
-        );
-
-        svgContainer
-          .append("rect")
-          .attr("x", rectX)
-          .attr("y", 0)
-          .attr("width", rectWidth)
-          .attr("height", legendHeight)
-          .style("fill", group.color)
-          .on("mousemove", (e) => {
-            const text = group.label;
-
-            this.tooltipInstance.updateTooltip(text, e.clientX, e.clientY);
-          })
-          .on("mouseout", (e) => {
-            this.tooltipInstance.hideTooltip();
-          });
-      }
-    });
+    this._appendSegments(
+      svgContainer,
+      "column",
+      this.groupingColumnData,
+      svgWidth,
+      legendHeight
+    );
 
     // Update margins to account for the legend only if dom element is not provided
     if (!this.isColumnGroupingLegendDomElementProvided) {
@@ -1096,46 +3710,756 @@ class BaseGL {
       { seen: {}, result: [] }
     ).result;
 
-    // Remove the grouping labels if they already exist
-    select(parentElement).select(`svg`).remove();
+    // Remove the grouping labels if they already exist
+    select(parentElement).select(`svg`).remove();
+
+    const parent = select(parentElement);
+    const svg = parent.append("svg");
+
+    svg.attr("width", "100%").style("overflow", "inherit");
+    if (orientation === "horizontal") {
+      svg.attr("height", 25);
+    } else {
+      svg.attr("height", groupingData.length * 25);
+    }
+
+    const labelHeight = 25;
+    let xOffset = 0;
+    let yOffset = 0;
+
+    groupingData.forEach((data) => {
+      const group = svg.append("g");
+
+      group
+        .append("rect")
+        .attr("x", xOffset)
+        .attr("y", yOffset)
+        .attr("width", 20)
+        .attr("height", 20)
+        .style("fill", data.color);
+
+      group
+        .append("text")
+        .attr("x", xOffset + 25)
+        .attr("y", yOffset + 15)
+        .text(data.label);
+
+      if (orientation === "horizontal") {
+        xOffset += 25 + data.label.length * 8 + 20;
+      } else {
+        yOffset += labelHeight;
+      }
+    });
+  }
+
+  /**
+   * Build a scale from a row or column position to pixels, along the
+   * visible part of the plot. Follows pan and zoom through `this.viewport`.
+   *
+   * @param {string} axis, either `row` or `column`
+   * @param {number} length, size of the plot along the axis, in px
+   * @return {Function} maps a position (0 being the start of the first row/column, can be fractional) to px,
+   *  set its second argument for the end of a row/column
+   * @memberof BaseGL
+   */
+  _getPositionToPixelScale(axis, length) {
+    const isRow = axis === "row";
+    const visibleRange = isRow
+      ? this.viewport?.yRange || this.yAxisRange
+      : this.viewport?.xRange || this.xAxisRange;
+    const toAxis = this._getPositionToAxisScale(axis);
+
+    const scale = scaleLinear()
+      .domain(visibleRange)
+      .range(isRow ? [length, 0] : [0, length]);
+
+    return (position, isEnd = false) => scale(toAxis(position, isEnd));
+  }
+
+  /**
+   * Build a scale from a row or column position to plot coordinates, the
+   * coordinates of the viewport.
+   *
+   * @param {string} axis, either `row` or `column`
+   * @return {Function} maps a position (0 being the start of the first row/column, can be fractional)
+   *  to plot coordinates, set its second argument for the end of a row/column
+   * @memberof BaseGL
+   */
+  _getPositionToAxisScale(axis) {
+    const axisRange = axis === "row" ? this.yAxisRange : this.xAxisRange;
+    const { slots, total } = this._getGridLayout(axis);
+
+    // the end of a row/column stays before the gap that follows it
+    return (position, isEnd = false) => {
+      const cell = Math.min(
+        Math.max(Math.floor(isEnd ? position - 1 : position), 0),
+        slots.length - 1
+      );
+      const slot = position + slots[cell] - cell;
+      return axisRange[0] + (slot / total) * (axisRange[1] - axisRange[0]);
+    };
+  }
+
+  /**
+   * Build a scale from plot coordinates to a row or column position,
+   * the inverse of `_getPositionToAxisScale`.
+   *
+   * @param {string} axis, either `row` or `column`
+   * @return {Function} maps plot coordinates to a fractional position, between 0 and
+   *  the number of rows/columns. Coordinates in a gap map to the end of the row/column before it
+   * @memberof BaseGL
+   */
+  _getAxisToPositionScale(axis) {
+    const axisRange = axis === "row" ? this.yAxisRange : this.xAxisRange;
+    const { slots, total } = this._getGridLayout(axis);
+
+    return (value) => {
+      const slot =
+        ((value - axisRange[0]) / (axisRange[1] - axisRange[0])) * total;
+      const cell = Math.max(bisectRight(slots, slot) - 1, 0);
+      const position = cell + Math.min(slot - slots[cell], 1);
+      return Math.min(Math.max(position, 0), slots.length);
+    };
+  }
+
+  /**
+   * Draw contiguous ranges of rows or columns as colored bars, clipped to
+   * the visible part of the plot. Shows the label of a bar on hover and
+   * emphasizes the bar under the crosshair.
+   *
+   * @param {object} svgContainer, d3 selection of the svg to draw in
+   * @param {string} axis, either `row` or `column`
+   * @param {Array} segments, objects containing the startIndex, endIndex, color and label of each bar
+   * @param {number} length, size of the plot along the axis, in px
+   * @param {number} thickness, size of the bars across the axis, in px
+   * @memberof BaseGL
+   */
+  _appendSegments(svgContainer, axis, segments, length, thickness) {
+    const isRow = axis === "row";
+    const toPixel = this._getPositionToPixelScale(axis, length);
+    const hovered = this.crosshair ? this.crosshair[axis] : null;
+
+    segments.forEach((segment) => {
+      const start = toPixel(segment.startIndex);
+      const end = toPixel(segment.endIndex + 1, true);
+      const from = Math.max(Math.min(start, end), 0);
+      const to = Math.min(Math.max(start, end), length);
+
+      if (to <= from) return;
+
+      // outline the segment under the crosshair, fade the others
+      const isHovered =
+        hovered !== null &&
+        hovered >= segment.startIndex &&
+        hovered <= segment.endIndex;
+
+      svgContainer
+        .append("rect")
+        .attr(isRow ? "x" : "y", 0)
+        .attr(isRow ? "y" : "x", from)
+        .attr(isRow ? "width" : "height", thickness)
+        .attr(isRow ? "height" : "width", to - from)
+        .style("fill", segment.color)
+        .style("opacity", hovered === null || isHovered ? 1 : 0.5)
+        .style("stroke", isHovered ? this.crosshairOptions.color : "none")
+        .on("mousemove", (e) => {
+          this.tooltipInstance.updateTooltip(
+            segment.label,
+            e.clientX,
+            e.clientY
+          );
+        })
+        .on("mouseout", (e) => {
+          this.tooltipInstance.hideTooltip();
+        });
+    });
+  }
+
+  /**
+   * Render the row and column dendrograms, if the plot was clustered.
+   * @memberof BaseGL
+   */
+  renderDendrograms() {
+    this.renderDendrogram("row");
+    this.renderDendrogram("column");
+  }
+
+  /**
+   * Render the dendrogram of the rows or columns in the margins,
+   * aligned with the visible rows/columns.
+   *
+   * @param {string} axis, either `row` or `column`
+   * @memberof BaseGL
+   */
+  renderDendrogram(axis) {
+    const isRow = axis === "row";
+    const identifier = isRow
+      ? ROW_DENDROGRAM_IDENTIFIER
+      : COLUMN_DENDROGRAM_IDENTIFIER;
+    const merges = isRow ? this.rowDendrogram : this.columnDendrogram;
+    const layout = this._marginLayout?.[`${axis}Dendrogram`];
+
+    select(this.elem.lastChild).select(`#${identifier}`).remove();
+
+    if (!merges || !merges.length || !layout || !this._spec) return;
+
+    const { side, offset } = layout;
+    const { size, color, strokeWidth } = this.dendrogramOptions;
+    const parsedMargins = parseMargins(this._spec.margins);
+    const length = isRow
+      ? this.elem.clientHeight - parsedMargins.top - parsedMargins.bottom
+      : this.elem.clientWidth - parsedMargins.left - parsedMargins.right;
+    const toPixel = this._getPositionToPixelScale(axis, length);
+
+    // position (center along the axis) and height of each leaf and merge,
+    // split rows/columns have a dendrogram per panel
+    const n = this._getOrder(axis).length;
+    const positions = new Float64Array(n + merges.length);
+    const heights = new Float64Array(n + merges.length);
+    for (let leaf = 0; leaf < n; leaf++) {
+      positions[leaf] = leaf + 0.5;
+    }
+    merges.forEach((merge, i) => {
+      positions[n + i] = (positions[merge.left] + positions[merge.right]) / 2;
+      heights[n + i] = merge.height;
+    });
+
+    // the root is at the outer edge, the leaves are next to the plot
+    const maxHeight =
+      merges.reduce((max, merge) => Math.max(max, merge.height), 0) || 1;
+    const leavesAtEnd = side === "left" || side === "top";
+    const toDepth = (height) =>
+      leavesAtEnd
+        ? size - (height / maxHeight) * size
+        : (height / maxHeight) * size;
+    const point = (position, height) =>
+      isRow
+        ? `${toDepth(height)},${toPixel(position)}`
+        : `${toPixel(position)},${toDepth(height)}`;
+
+    let path = "";
+    merges.forEach((merge, i) => {
+      const from = toPixel(positions[merge.left]);
+      const to = toPixel(positions[merge.right]);
+      if (Math.max(from, to) < 0 || Math.min(from, to) > length) return;
+
+      path +=
+        `M${point(positions[merge.left], heights[merge.left])}` +
+        `L${point(positions[merge.left], merge.height)}` +
+        `L${point(positions[merge.right], merge.height)}` +
+        `L${point(positions[merge.right], heights[merge.right])}`;
+    });
+
+    const svgContainer = select(this.elem.lastChild)
+      .append("svg")
+      .attr("id", identifier)
+      .attr("width", isRow ? size : length)
+      .attr("height", isRow ? length : size)
+      .style("overflow", "hidden")
+      .style("position", "absolute")
+      .style(side, `${offset}px`)
+      .style(
+        isRow ? "margin-top" : "margin-left",
+        `${isRow ? parsedMargins.top : parsedMargins.left}px`
+      );
+
+    svgContainer
+      .append("path")
+      .attr("d", path)
+      .attr("fill", "none")
+      .attr("stroke", color)
+      .attr("stroke-width", strokeWidth);
+  }
+
+  /**
+   * Render the titles of the row and column panels in the margins,
+   * centered on the visible part of each panel.
+   * @memberof BaseGL
+   */
+  renderPanelTitles() {
+    ["row", "column"].forEach((axis) => {
+      const isRow = axis === "row";
+      const identifier = isRow
+        ? ROW_PANEL_TITLES_IDENTIFIER
+        : COLUMN_PANEL_TITLES_IDENTIFIER;
+      const split = this.split[axis];
+      const layout = this._marginLayout?.[`${axis}PanelTitles`];
+
+      select(this.elem.lastChild).select(`#${identifier}`).remove();
+
+      if (!split || !layout || !this._spec) return;
+
+      const { side, offset, size } = layout;
+      const parsedMargins = parseMargins(this._spec.margins);
+      const length = isRow
+        ? this.elem.clientHeight - parsedMargins.top - parsedMargins.bottom
+        : this.elem.clientWidth - parsedMargins.left - parsedMargins.right;
+      const toPixel = this._getPositionToPixelScale(axis, length);
+
+      const svgContainer = select(this.elem.lastChild)
+        .append("svg")
+        .attr("id", identifier)
+        .attr("width", isRow ? size : length)
+        .attr("height", isRow ? length : size)
+        .style("overflow", "hidden")
+        .style("position", "absolute")
+        .style(side, `${offset}px`)
+        .style(
+          isRow ? "margin-top" : "margin-left",
+          `${isRow ? parsedMargins.top : parsedMargins.left}px`
+        );
+
+      this._getGridLayout(axis).panels.forEach(({ panel, start, end }) => {
+        const from = toPixel(start);
+        const to = toPixel(end + 1, true);
+        const visibleFrom = Math.max(Math.min(from, to), 0);
+        const visibleTo = Math.min(Math.max(from, to), length);
+        if (visibleFrom >= visibleTo) return;
+
+        const center = (visibleFrom + visibleTo) / 2;
+        svgContainer
+          .append("text")
+          .attr("font-size", ANNOTATION_FONT_SIZE)
+          .attr("text-anchor", "middle")
+          .attr("dominant-baseline", "middle")
+          .attr(
+            "transform",
+            isRow
+              ? `translate(${size / 2}, ${center}) rotate(-90)`
+              : `translate(${center}, ${size / 2})`
+          )
+          .text(split.titles[panel]);
+      });
+    });
+  }
+
+  /**
+   * Render the plot title and subtitle above the plot, and the axis titles
+   * next to the labels, centered on the plot.
+   * @memberof BaseGL
+   */
+  renderTitles() {
+    [
+      PLOT_TITLE_IDENTIFIER,
+      ROW_TITLE_IDENTIFIER,
+      COLUMN_TITLE_IDENTIFIER,
+    ].forEach((identifier) =>
+      select(this.elem.lastChild).select(`#${identifier}`).remove()
+    );
+
+    if (!this._spec) return;
+
+    const parsedMargins = parseMargins(this._spec.margins);
+    const width =
+      this.elem.clientWidth - parsedMargins.left - parsedMargins.right;
+    const height =
+      this.elem.clientHeight - parsedMargins.top - parsedMargins.bottom;
+
+    const appendContainer = (identifier, layout, isRow) =>
+      select(this.elem.lastChild)
+        .append("svg")
+        .attr("id", identifier)
+        .attr("width", isRow ? layout.size : width)
+        .attr("height", isRow ? height : layout.size)
+        .style("overflow", "visible")
+        .style("position", "absolute")
+        .style(layout.side, `${layout.offset}px`)
+        .style(
+          isRow ? "margin-top" : "margin-left",
+          `${isRow ? parsedMargins.top : parsedMargins.left}px`
+        );
+
+    const { title, subtitle, rowTitle, columnTitle } = this.titles;
+    const plotTitleLayout = this._marginLayout?.plotTitle;
+    if (plotTitleLayout) {
+      const svgContainer = appendContainer(
+        PLOT_TITLE_IDENTIFIER,
+        plotTitleLayout,
+        false
+      );
+
+      [
+        [title, PLOT_TITLE_SIZE_IN_PX, PLOT_TITLE_FONT_SIZE, "bold"],
+        [subtitle, PLOT_SUBTITLE_SIZE_IN_PX, PLOT_SUBTITLE_FONT_SIZE, "normal"],
+      ]
+        .filter(([text]) => text)
+        .reduce((y, [text, size, fontSize, fontWeight]) => {
+          svgContainer
+            .append("text")
+            .attr("x", width / 2)
+            .attr("y", y + size / 2)
+            .attr("font-size", fontSize)
+            .attr("font-weight", fontWeight)
+            .attr("text-anchor", "middle")
+            .attr("dominant-baseline", "middle")
+            .text(text);
+          return y + size;
+        }, 0);
+    }
+
+    [
+      ["row", rowTitle, ROW_TITLE_IDENTIFIER],
+      ["column", columnTitle, COLUMN_TITLE_IDENTIFIER],
+    ].forEach(([axis, text, identifier]) => {
+      const layout = this._marginLayout?.[`${axis}Title`];
+      if (!text || !layout) return;
+
+      const isRow = axis === "row";
+      const { side, size } = layout;
+
+      // row titles read from the plot outwards on the right
+      appendContainer(identifier, layout, isRow)
+        .append("text")
+        .attr("font-size", AXIS_TITLE_FONT_SIZE)
+        .attr("text-anchor", "middle")
+        .attr("dominant-baseline", "middle")
+        .attr(
+          "transform",
+          isRow
+            ? `translate(${size / 2}, ${height / 2}) rotate(${
+                side === "right" ? 90 : -90
+              })`
+            : `translate(${width / 2}, ${size / 2})`
+        )
+        .text(text);
+    });
+  }
+
+  /**
+   * Render the marginal plots, aligned with the visible rows/columns.
+   * Bars and boxes grow away from the heatmap.
+   * @memberof BaseGL
+   */
+  renderMarginalPlots() {
+    select(this.elem.lastChild)
+      .selectAll(`.${MARGINAL_PLOT_IDENTIFIER}`)
+      .remove();
+
+    Object.values(this.marginalPlots).forEach((marginalPlot) =>
+      this._renderMarginalPlot(marginalPlot)
+    );
+  }
+
+  /**
+   * Render a single marginal plot.
+   *
+   * @param {object} marginalPlot, the marginal plot, see `setMarginalPlots`
+   * @memberof BaseGL
+   */
+  _renderMarginalPlot(marginalPlot) {
+    const { side, axis, type, size, color, data, domain } = marginalPlot;
+    const layout = this._marginLayout?.[`${side}MarginalPlot`];
+    if (!layout || !this._spec) return;
+
+    const isRow = axis === "row";
+    const parsedMargins = parseMargins(this._spec.margins);
+    const length = isRow
+      ? this.elem.clientHeight - parsedMargins.top - parsedMargins.bottom
+      : this.elem.clientWidth - parsedMargins.left - parsedMargins.right;
+    const toPixel = this._getPositionToPixelScale(axis, length);
+
+    // depth is the distance from the edge next to the heatmap
+    const toDepth = scaleLinear().domain(domain).range([0, size]);
+    const awayFromHeatmap = side === "top" || side === "left";
+    const point = (position, depth) => {
+      const d = awayFromHeatmap ? size - depth : depth;
+      return isRow ? `${d},${position}` : `${position},${d}`;
+    };
+    const rect = (from, to, depthFrom, depthTo) =>
+      `M${point(from, depthFrom)}L${point(to, depthFrom)}` +
+      `L${point(to, depthTo)}L${point(from, depthTo)}Z`;
+    const line = (from, depthFrom, to, depthTo) =>
+      `M${point(from, depthFrom)}L${point(to, depthTo)}`;
+
+    let fillPath = "";
+    let strokePath = "";
+    const order = this._getOrder(axis);
+    const baseline = toDepth(Math.min(Math.max(0, domain[0]), domain[1]));
+    for (let p = 0; p < order.length; p++) {
+      const start = toPixel(p);
+      const end = toPixel(p + 1, true);
+      if (Math.max(start, end) < 0 || Math.min(start, end) > length) continue;
+
+      // leave some space between the bars/boxes when they are large enough
+      const padding = Math.abs(end - start) > 4 ? (end - start) * 0.1 : 0;
+      const from = start + padding;
+      const to = end - padding;
+      const value = data[order[p]];
+
+      if (type === "bar") {
+        if (Number.isNaN(value)) continue;
+        fillPath += rect(from, to, baseline, toDepth(value));
+      } else if (value) {
+        const center = (from + to) / 2;
+        const box = rect(from, to, toDepth(value.q1), toDepth(value.q3));
+        fillPath += box;
+        strokePath +=
+          box +
+          line(center, toDepth(value.min), center, toDepth(value.q1)) +
+          line(center, toDepth(value.q3), center, toDepth(value.max)) +
+          line(from, toDepth(value.median), to, toDepth(value.median));
+      }
+    }
+
+    const svgContainer = select(this.elem.lastChild)
+      .append("svg")
+      .attr("class", MARGINAL_PLOT_IDENTIFIER)
+      .attr("width", isRow ? size : length)
+      .attr("height", isRow ? length : size)
+      .style("overflow", "hidden")
+      .style("position", "absolute")
+      .style(side, `${layout.offset}px`)
+      .style(
+        isRow ? "margin-top" : "margin-left",
+        `${isRow ? parsedMargins.top : parsedMargins.left}px`
+      );
+
+    svgContainer
+      .append("path")
+      .attr("d", fillPath)
+      .attr("fill", color)
+      .attr("fill-opacity", type === "box" ? 0.4 : 1);
+
+    if (strokePath) {
+      svgContainer
+        .append("path")
+        .attr("d", strokePath)
+        .attr("fill", "none")
+        .attr("stroke", color)
+        .attr("stroke-width", 1);
+    }
+  }
+
+  /**
+   * Render the annotation tracks of the rows and columns,
+   * aligned with the visible rows/columns.
+   * @memberof BaseGL
+   */
+  renderAnnotationTracks() {
+    ["row", "column"].forEach((axis) => {
+      const identifier =
+        axis === "row"
+          ? ROW_ANNOTATION_IDENTIFIER
+          : COLUMN_ANNOTATION_IDENTIFIER;
+      select(this.elem.lastChild).selectAll(`.${identifier}`).remove();
+
+      this.annotationTracks[axis].forEach((track, i) =>
+        this._renderAnnotationTrack(axis, track, i, identifier)
+      );
+    });
+  }
+
+  /**
+   * Render a single annotation track, with its title.
+   *
+   * @param {string} axis, either `row` or `column`
+   * @param {object} track, the annotation track, see `setAnnotationTracks`
+   * @param {number} index, position of the track on its axis
+   * @param {string} identifier, class of the track svg
+   * @memberof BaseGL
+   */
+  _renderAnnotationTrack(axis, track, index, identifier) {
+    const layout = this._marginLayout?.[`${axis}Annotation${index}`];
+    if (!layout || !this._spec) return;
+
+    const isRow = axis === "row";
+    const { side, offset } = layout;
+    const parsedMargins = parseMargins(this._spec.margins);
+    const length = isRow
+      ? this.elem.clientHeight - parsedMargins.top - parsedMargins.bottom
+      : this.elem.clientWidth - parsedMargins.left - parsedMargins.right;
+
+    // runs of rows/columns with the same value, in the order they are displayed
+    const order = this._getOrder(axis);
+    const segments = [];
+    for (let p = 0; p < order.length; p++) {
+      const color = track.colors[order[p]];
+      const label = `${track.name}: ${track.values[order[p]]}`;
+      const last = segments[segments.length - 1];
+      if (last && last.label === label) {
+        last.endIndex = p;
+      } else {
+        segments.push({ startIndex: p, endIndex: p, color, label });
+      }
+    }
+
+    const svgContainer = select(this.elem.lastChild)
+      .append("svg")
+      .attr("class", identifier)
+      .attr("width", isRow ? track.size : length)
+      .attr("height", isRow ? length : track.size)
+      .style("overflow", "visible")
+      .style("position", "absolute")
+      .style(side, `${offset}px`)
+      .style(
+        isRow ? "margin-top" : "margin-left",
+        `${isRow ? parsedMargins.top : parsedMargins.left}px`
+      );
+
+    this._appendSegments(svgContainer, axis, segments, length, track.size);
+
+    // row titles below the track, column titles before it
+    svgContainer
+      .append("text")
+      .attr("font-size", ANNOTATION_FONT_SIZE)
+      .attr("text-anchor", "end")
+      .attr("dominant-baseline", "middle")
+      .attr(
+        "transform",
+        isRow
+          ? `translate(${track.size / 2}, ${length + 4}) rotate(-90)`
+          : `translate(-4, ${track.size / 2})`
+      )
+      .text(track.name);
+  }
+
+  /**
+   * Get the width needed to render the legends of the annotation tracks.
+   *
+   * @return {number} width in px
+   * @memberof BaseGL
+   */
+  _getAnnotationLegendsWidth() {
+    const swatchWidth = ANNOTATION_LEGEND_ROW_HEIGHT_IN_PX;
+    let width = ANNOTATION_LEGEND_GRADIENT_WIDTH_IN_PX;
+
+    [...this.annotationTracks.row, ...this.annotationTracks.column].forEach(
+      (track) => {
+        width = Math.max(width, getTextWidth(track.name, ANNOTATION_FONT_SIZE));
+        if (track.type === "categorical") {
+          track.legend.forEach((entry) => {
+            width = Math.max(
+              width,
+              swatchWidth + getTextWidth(entry.label, ANNOTATION_FONT_SIZE)
+            );
+          });
+        }
+      }
+    );
 
-    const parent = select(parentElement);
-    const svg = parent.append("svg");
+    return Math.ceil(width) + LABELS_MARGIN_BUFFER_IN_PX;
+  }
 
-    svg.attr("width", "100%").style("overflow", "inherit");
-    if (orientation === "horizontal") {
-      svg.attr("height", 25);
-    } else {
-      svg.attr("height", groupingData.length * 25);
+  /**
+   * Render the legends of the annotation tracks, one below the other.
+   * Categorical tracks list their categories, continuous tracks show
+   * the gradient of their color scale.
+   * @memberof BaseGL
+   */
+  renderAnnotationLegends() {
+    const { legendDomElement, showLegends } = this.annotationOptions;
+    const parent = legendDomElement || this.elem.lastChild;
+    const layout = this._marginLayout?.annotationLegends;
+    const tracks = [
+      ...this.annotationTracks.row,
+      ...this.annotationTracks.column,
+    ];
+
+    select(parent).select(`#${ANNOTATION_LEGEND_IDENTIFIER}`).remove();
+
+    if (!showLegends || !tracks.length || (!legendDomElement && !layout)) {
+      return;
     }
 
-    const labelHeight = 25;
-    let xOffset = 0;
-    let yOffset = 0;
-
-    groupingData.forEach((data) => {
-      const group = svg.append("g");
+    const rowHeight = ANNOTATION_LEGEND_ROW_HEIGHT_IN_PX;
+    const svgContainer = select(parent)
+      .append("svg")
+      .attr("id", ANNOTATION_LEGEND_IDENTIFIER)
+      .attr("width", layout ? layout.size : "100%")
+      .style("overflow", "visible");
 
-      group
-        .append("rect")
-        .attr("x", xOffset)
-        .attr("y", yOffset)
-        .attr("width", 20)
-        .attr("height", 20)
-        .style("fill", data.color);
+    let y = 0;
+    tracks.forEach((track) => {
+      const group = svgContainer
+        .append("g")
+        .attr("transform", `translate(0, ${y})`)
+        .attr("font-size", ANNOTATION_FONT_SIZE);
 
       group
         .append("text")
-        .attr("x", xOffset + 25)
-        .attr("y", yOffset + 15)
-        .text(data.label);
-
-      if (orientation === "horizontal") {
-        xOffset += 25 + data.label.length * 8 + 20;
+        .attr("y", rowHeight - 4)
+        .attr("font-weight", "bold")
+        .text(track.name);
+
+      if (track.type === "categorical") {
+        track.legend.forEach((entry, i) => {
+          const entryY = (i + 1) * rowHeight;
+          group
+            .append("rect")
+            .attr("y", entryY + 2)
+            .attr("width", rowHeight - 4)
+            .attr("height", rowHeight - 4)
+            .style("fill", entry.color);
+          group
+            .append("text")
+            .attr("x", rowHeight)
+            .attr("y", entryY + rowHeight - 4)
+            .text(entry.label);
+        });
+        y += (track.legend.length + 1) * rowHeight;
       } else {
-        yOffset += labelHeight;
+        const gradientId = `annotation-gradient-${(
+          Math.random() * 1000
+        ).toFixed()}`;
+        group
+          .append("defs")
+          .append("linearGradient")
+          .attr("id", gradientId)
+          .selectAll("stop")
+          .data(track.legend)
+          .enter()
+          .append("stop")
+          .attr("offset", (d) => d.intensity * 100 + "%")
+          .attr("stop-color", (d) => d.color);
+        group
+          .append("rect")
+          .attr("y", rowHeight + 2)
+          .attr("width", ANNOTATION_LEGEND_GRADIENT_WIDTH_IN_PX)
+          .attr("height", rowHeight - 4)
+          .style("fill", `url(#${gradientId})`);
+
+        const first = track.legend[0];
+        const last = track.legend[track.legend.length - 1];
+        group
+          .append("text")
+          .attr("y", 3 * rowHeight - 4)
+          .text(first.label);
+        group
+          .append("text")
+          .attr("x", ANNOTATION_LEGEND_GRADIENT_WIDTH_IN_PX)
+          .attr("y", 3 * rowHeight - 4)
+          .attr("text-anchor", "end")
+          .text(last.label);
+        y += 3 * rowHeight;
       }
+
+      y += rowHeight / 2;
     });
+
+    svgContainer.attr("height", y);
+
+    if (!legendDomElement) {
+      const parsedMargins = parseMargins(this._spec.margins);
+      svgContainer
+        .style("position", "absolute")
+        .style("right", `${layout.offset}px`)
+        .style("margin-top", `${parsedMargins.top}px`);
+    }
+  }
+
+  /**
+   * Keep space for a component in the margins, stacked after the
+   * components already placed on that side.
+   *
+   * @param {object} marginsToAddIn, space already added on each side, updated in place
+   * @param {string} key, name of the component in `this._marginLayout`
+   * @param {string} side, one of `top`, `bottom`, `left` or `right`
+   * @param {number} size, space to keep, in px
+   * @memberof BaseGL
+   */
+  _reserveMargin(marginsToAddIn, key, side, size) {
+    this._marginLayout[key] = { side, offset: marginsToAddIn[side], size };
+    marginsToAddIn[side] += size;
   }
 
   /**
@@ -1168,6 +4492,110 @@ class BaseGL {
       marginsToAddIn[this.legendPosition] = INTENSITY_LEGEND_SIZE_IN_PX;
     }
 
+    // components stacked between the legends and the labels
+    this._marginLayout = {};
+
+    const { title, subtitle, rowTitle, columnTitle } = this.titles;
+    if (title || subtitle) {
+      this._reserveMargin(
+        marginsToAddIn,
+        "plotTitle",
+        "top",
+        (title ? PLOT_TITLE_SIZE_IN_PX : 0) +
+          (subtitle ? PLOT_SUBTITLE_SIZE_IN_PX : 0)
+      );
+    }
+
+    if (this.splitOptions.showTitles) {
+      if (this.split.row) {
+        this._reserveMargin(
+          marginsToAddIn,
+          "rowPanelTitles",
+          "left",
+          PANEL_TITLE_SIZE_IN_PX
+        );
+      }
+
+      if (this.split.column) {
+        this._reserveMargin(
+          marginsToAddIn,
+          "columnPanelTitles",
+          "top",
+          PANEL_TITLE_SIZE_IN_PX
+        );
+      }
+    }
+
+    if (this.rowDendrogram) {
+      this._reserveMargin(
+        marginsToAddIn,
+        "rowDendrogram",
+        this.dendrogramOptions.rowPosition,
+        this.dendrogramOptions.size
+      );
+    }
+
+    if (this.columnDendrogram) {
+      this._reserveMargin(
+        marginsToAddIn,
+        "columnDendrogram",
+        this.dendrogramOptions.columnPosition,
+        this.dendrogramOptions.size
+      );
+    }
+
+    ["row", "column"].forEach((axis) => {
+      this.annotationTracks[axis].forEach((track, i) => {
+        this._reserveMargin(
+          marginsToAddIn,
+          `${axis}Annotation${i}`,
+          this.annotationOptions[`${axis}Position`],
+          track.size + ANNOTATION_TRACK_GAP_IN_PX
+        );
+      });
+    });
+
+    Object.values(this.marginalPlots).forEach((marginalPlot) => {
+      this._reserveMargin(
+        marginsToAddIn,
+        `${marginalPlot.side}MarginalPlot`,
+        marginalPlot.side,
+        marginalPlot.size + ANNOTATION_TRACK_GAP_IN_PX
+      );
+    });
+
+    if (
+      this.annotationOptions.showLegends &&
+      !this.annotationOptions.legendDomElement &&
+      this.annotationTracks.row.length + this.annotationTracks.column.length
+    ) {
+      this._reserveMargin(
+        marginsToAddIn,
+        "annotationLegends",
+        "right",
+        this._getAnnotationLegendsWidth()
+      );
+    }
+
+    // axis titles are next to the labels
+    if (rowTitle) {
+      this._reserveMargin(
+        marginsToAddIn,
+        "rowTitle",
+        this._getLabelSides("row")[0],
+        AXIS_TITLE_SIZE_IN_PX
+      );
+    }
+
+    if (columnTitle) {
+      this._reserveMargin(
+        marginsToAddIn,
+        "columnTitle",
+        this._getLabelSides("column")[0],
+        AXIS_TITLE_SIZE_IN_PX
+      );
+    }
+
     this._spec.margins = {
       top: parsedMargins.top + marginsToAddIn.top + "px",
       bottom: parsedMargins.bottom + marginsToAddIn.bottom + "px",
@@ -1199,7 +4627,7 @@ class BaseGL {
         }
       });
     }
-    this.highlightedIndicesCallback(this.highlightedIndices);
+    this._emit("highlightedIndices", this.highlightedIndices);
     this.reRenderOnHighlight();
   }
 
@@ -1228,6 +4656,345 @@ class BaseGL {
     this.clearHighlight();
   }
 
+  /**
+   * Set the options of the tooltip shown when hovering a cell.
+   * @memberof BaseGL
+   * @param {object} options, tooltip options
+   * @param {?boolean} options.enabled, show the tooltip (default: true)
+   * @param {?Function} options.formatter, returns the HTML content of the tooltip from the hovered cell:
+   *  its `index`, `row` and `column` (positions in the input), `rowLabel`, `columnLabel`,
+   *  `value` (encoded by the color), `color` and `size`. Returning null hides the tooltip.
+   * @param {?Array<string>} options.fields, fields shown by the default content,
+   *  among `row`, `column`, `value`, `color` (as `#rrggbb`) and `size` (default: all of them)
+   * @param {?number} options.distanceThreshold, maximum distance between the cursor and the
+   *  closest cell, as reported by epiviz.gl in plot coordinates (the plot spans [-1, 1]).
+   *  The default, 0, shows the tooltip only when the cursor is over a cell.
+   * @param {?HTMLElement|ShadowRoot} options.container, element the tooltips of this plot are mounted into,
+   *  e.g. inside a shadow root (default: document.body)
+   * @param {?boolean} options.pinOnClick, clicking a cell opens a tooltip that stays open until
+   *  its close button is clicked, its text can be selected and copied (default: false)
+   * @example
+   * plot.setTooltipOptions({
+   *   fields: ["row", "column", "value"],
+   *   formatter: (cell) => `<b>${cell.rowLabel}</b>: ${cell.value.toFixed(2)}`,
+   * });
+   */
+  setTooltipOptions(options) {
+    if (options.formatter && typeof options.formatter !== "function") {
+      throw `formatter must be a function`;
+    }
+
+    if (options.fields) {
+      if (!Array.isArray(options.fields)) {
+        throw `fields must be an array`;
+      }
+
+      options.fields.forEach((field) => {
+        if (!TOOLTIP_FIELDS.includes(field)) {
+          throw `${field} needs to be one of ${TOOLTIP_FIELDS.join(", ")}`;
+        }
+      });
+    }
+
+    if ("distanceThreshold" in options && !(options.distanceThreshold >= 0)) {
+      throw `distanceThreshold must be a number >= 0`;
+    }
+
+    if (
+      options.container &&
+      typeof options.container.appendChild !== "function"
+    ) {
+      throw `container must be a dom element`;
+    }
+
+    const previousContainer = this.tooltipOptions.container;
+    this.tooltipOptions = { ...this.tooltipOptions, ...options };
+
+    if ((this.tooltipOptions.container || null) !== previousContainer) {
+      this.tooltipInstance.destroy();
+      this.tooltipInstance = new Tooltip(
+        this.tooltipOptions.container || document.body
+      );
+      this._isCellTooltipVisible = false;
+    }
+
+    if (!this.tooltipOptions.enabled) {
+      this._hideCellTooltip();
+    }
+  }
+
+  /**
+   * Dismiss all the tooltips pinned by clicking on cells.
+   * @memberof BaseGL
+   * @example
+   * plot.clearPinnedTooltips();
+   */
+  clearPinnedTooltips() {
+    this.tooltipInstance.unpinAllTooltips();
+  }
+
+  /**
+   * Get what is known about a cell, as passed to the tooltip formatter.
+   *
+   * @param {number} index, index of the cell
+   * @return {object} the cell's `index`, `row`, `column`, `rowLabel`, `columnLabel`,
+   *  `x` and `y` positions, `value`, `color` (as `#rrggbb` if packed), `size` and `opacity`
+   * @memberof BaseGL
+   */
+  _getCellInfo(index) {
+    const { ylabels, xlabels } = this.input;
+    const rowPosition = this.input.y[index];
+    const columnPosition = this.input.x[index];
+    const cellState = (attribute) =>
+      isArrayOrTypedArray(this.state[attribute])
+        ? this.state[attribute][index]
+        : this.state[attribute];
+
+    return {
+      index,
+      row: this._getOrder("row")[rowPosition],
+      column: this._getOrder("column")[columnPosition],
+      rowLabel: ylabels ? ylabels[rowPosition] : null,
+      columnLabel: xlabels ? xlabels[columnPosition] : null,
+      x: columnPosition,
+      y: rowPosition,
+      value: isArrayOrTypedArray(this.state["value"])
+        ? this.state["value"][index]
+        : null,
+      // packed colors, as encoded for epiviz.gl, are shown as css colors
+      color: packedColorToHex(cellState("color")),
+      size: cellState("size"),
+      opacity: cellState("opacity"),
+    };
+  }
+
+  /**
+   * Default content of the cell tooltip, one line per field.
+   *
+   * @param {object} cell, the hovered cell, see `_getCellInfo`
+   * @return {string} HTML content of the tooltip
+   * @memberof BaseGL
+   */
+  _formatCellTooltip(cell) {
+    const lines = {
+      row: ["row", cell.rowLabel ?? cell.row],
+      column: ["column", cell.columnLabel ?? cell.column],
+      value: ["value", cell.value],
+      color: ["color", cell.color],
+      size: ["size", cell.size],
+    };
+
+    return this.tooltipOptions.fields
+      .map((field) => lines[field])
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(
+        ([name, value]) =>
+          `<div><b>${name}</b>: ${escapeHtml(
+            typeof value === "number" ? +value.toFixed(4) : value
+          )}</div>`
+      )
+      .join("");
+  }
+
+  /**
+   * Get the content of the tooltip of the cell under the cursor.
+   *
+   * @param {object} hdata, the data of a `pointHovered` or `pointClicked` event from epiviz.gl
+   * @return {?HTMLElement} the content, null if the tooltip is disabled
+   *  or the cursor is not over a cell
+   * @memberof BaseGL
+   */
+  _getCellTooltipContent(hdata) {
+    const { enabled, formatter, distanceThreshold } = this.tooltipOptions;
+    if (
+      !enabled ||
+      !hdata?.indices?.length ||
+      !hdata.event ||
+      hdata.distance > distanceThreshold
+    ) {
+      return null;
+    }
+
+    const cell = this._getCellInfo(hdata.indices[0]);
+    const html = formatter ? formatter(cell) : this._formatCellTooltip(cell);
+    if (!html) return null;
+
+    const content = document.createElement("div");
+    content.innerHTML = html;
+    return content;
+  }
+
+  /**
+   * Show the tooltip of the hovered cell, or hide it when the cursor
+   * is not over a cell.
+   *
+   * @param {object} hdata, the data of the `pointHovered` event from epiviz.gl
+   * @memberof BaseGL
+   */
+  _updateCellTooltip(hdata) {
+    const content = this._getCellTooltipContent(hdata);
+    if (!content) {
+      this._hideCellTooltip();
+      return;
+    }
+
+    this.tooltipInstance.updateTooltip(
+      content,
+      hdata.event.clientX,
+      hdata.event.clientY
+    );
+    this._isCellTooltipVisible = true;
+  }
+
+  /**
+   * Hide the cell tooltip, leaving the tooltips of labels and legends alone.
+   * @memberof BaseGL
+   */
+  _hideCellTooltip() {
+    if (this._isCellTooltipVisible) {
+      this.tooltipInstance.hideTooltip();
+      this._isCellTooltipVisible = false;
+    }
+  }
+
+  /**
+   * Emphasize the row and the column under the cursor. The matching labels
+   * are bold and the matching grouping bars and annotation segments are outlined.
+   * @memberof BaseGL
+   * @param {?object} options, crosshair options
+   * @param {?string} options.mode, `outline` (default) draws a frame around the row and column,
+   *  `dim` fades the other cells
+   * @param {?string} options.color, color of the outline (default: #333)
+   * @param {?number} options.dimOpacity, opacity of the layer fading the other cells (default: 0.6)
+   * @example
+   * plot.enableCrosshair({ mode: "dim" });
+   */
+  enableCrosshair(options = {}) {
+    if (options.mode && !["outline", "dim"].includes(options.mode)) {
+      throw `${options.mode} needs to be one of outline or dim`;
+    }
+
+    this.crosshairOptions = { ...this.crosshairOptions, ...options };
+    this.crosshairEnabled = true;
+  }
+
+  /**
+   * Stop emphasizing the row and the column under the cursor.
+   * @memberof BaseGL
+   * @example
+   * plot.disableCrosshair();
+   */
+  disableCrosshair() {
+    this.crosshairEnabled = false;
+    this._setCrosshair(null);
+  }
+
+  /**
+   * Move the crosshair to a row and a column, and update everything it emphasizes.
+   *
+   * @param {?object} crosshair, the current `row` and `column` positions, null to remove it
+   * @memberof BaseGL
+   */
+  _setCrosshair(crosshair) {
+    const previous = this.crosshair;
+    if (
+      previous === crosshair ||
+      (previous &&
+        crosshair &&
+        previous.row === crosshair.row &&
+        previous.column === crosshair.column)
+    ) {
+      return;
+    }
+
+    this.crosshair = crosshair;
+    if (!this._spec) return;
+
+    // label type `row` labels the columns, `column` the rows
+    (this._spec.labels || []).forEach((label) => {
+      const position = label.type === "row" ? "column" : "row";
+      label["font-weight"] =
+        crosshair && crosshair[position] === label.index
+          ? "bold"
+          : this._labelFormats.get(label)?.style["font-weight"] ?? "normal";
+    });
+    this._updateSVG();
+
+    this.renderRowGroupingLegend();
+    this.renderColumnGroupingLegend();
+    this.renderAnnotationTracks();
+    this.renderCrosshair();
+  }
+
+  /**
+   * Render the crosshair over the plot, following pan and zoom.
+   * @memberof BaseGL
+   */
+  renderCrosshair() {
+    select(this.elem.lastChild).select(`#${CROSSHAIR_IDENTIFIER}`).remove();
+
+    if (!this.crosshair || !this._spec) return;
+
+    const { mode, color, dimOpacity } = this.crosshairOptions;
+    const parsedMargins = parseMargins(this._spec.margins);
+    const width =
+      this.elem.clientWidth - parsedMargins.left - parsedMargins.right;
+    const height =
+      this.elem.clientHeight - parsedMargins.top - parsedMargins.bottom;
+
+    // extent of the hovered row and column, in px
+    const band = (axis, length) => {
+      const toPixel = this._getPositionToPixelScale(axis, length);
+      const start = toPixel(this.crosshair[axis]);
+      const end = toPixel(this.crosshair[axis] + 1, true);
+      return [Math.min(start, end), Math.max(start, end)];
+    };
+    const [x0, x1] = band("column", width);
+    const [y0, y1] = band("row", height);
+
+    const svgContainer = select(this.elem.lastChild)
+      .append("svg")
+      .attr("id", CROSSHAIR_IDENTIFIER)
+      .attr("width", width)
+      .attr("height", height)
+      .style("overflow", "hidden")
+      .style("pointer-events", "none")
+      .style("position", "absolute")
+      .style("top", "0px")
+      .style("left", "0px")
+      .style("margin-top", `${parsedMargins.top}px`)
+      .style("margin-left", `${parsedMargins.left}px`);
+
+    if (mode === "dim") {
+      // fade the four corners around the row and the column
+      [
+        [0, 0, x0, y0],
+        [x1, 0, width, y0],
+        [0, y1, x0, height],
+        [x1, y1, width, height],
+      ].forEach(([left, top, right, bottom]) =>
+        svgContainer
+          .append("rect")
+          .attr("x", left)
+          .attr("y", top)
+          .attr("width", Math.max(right - left, 0))
+          .attr("height", Math.max(bottom - top, 0))
+          .attr("fill", "white")
+          .attr("fill-opacity", dimOpacity)
+      );
+    } else {
+      svgContainer
+        .append("path")
+        .attr(
+          "d",
+          `M0,${y0}H${width}V${y1}H0Z` + `M${x0},0H${x1}V${height}H${x0}Z`
+        )
+        .attr("fill", "none")
+        .attr("stroke", color)
+        .attr("stroke-width", 1);
+    }
+  }
+
   /**
    * Clear the highlight for the plot.
    * @memberof BaseGL
@@ -1238,7 +5005,7 @@ class BaseGL {
   clearHighlight() {
     this.highlightedIndices = [];
     this.indexStates = {};
-    this.highlightedIndicesCallback(this.highlightedIndices);
+    this._emit("highlightedIndices", this.highlightedIndices);
     this.reRenderOnHighlight();
   }
 
@@ -1252,7 +5019,7 @@ class BaseGL {
       this.highlightedIndices
     );
     this._generateSpecForEncoding(this._spec, "opacity", opacityData);
-    this.plot.updateSpecification(this._spec);
+    this._updateSpecification(this._spec);
   }
 
   /**
@@ -1284,6 +5051,82 @@ class BaseGL {
     this.reRenderOnHighlight();
   }
 
+  /**
+   * Listen to an event of the plot. Several listeners can listen to the same event,
+   * the callback properties (e.g. `hoverCallback`) keep working alongside them.
+   * @memberof BaseGL
+   * @param {string} eventName, one of `hover`, `click`, `selection`, `viewportChange`,
+   *  `highlightedIndices`, `labelHovered`, `labelUnhovered`, `sortChange` or `orderChange`
+   * @param {Function} handler, called with the payload of each event, see the typedefs in `EventEmitter.js`,
+   *  e.g. `orderChange` gives the `axis`, the `index` of the moved row/column, its position `from`
+   *  and `to` as displayed, and the new `order` (`OrderEvent`)
+   * @return {Function} removes the listener
+   * @example
+   * const off = plot.on("click", (point) => console.log(point.indices));
+   * off();
+   * plot.on("orderChange", ({ axis, order }) => saveOrder(axis, order));
+   */
+  on(eventName, handler) {
+    this._validateEventName(eventName);
+    this._emitter.on(eventName, handler);
+    return () => this.off(eventName, handler);
+  }
+
+  /**
+   * Stop listening to an event of the plot.
+   * @memberof BaseGL
+   * @param {string} eventName, name of the event
+   * @param {?Function} handler, the listener passed to `on` or `once`,
+   *  all the listeners of the event are removed without it
+   * @example
+   * plot.off("click", handler);
+   */
+  off(eventName, handler) {
+    this._validateEventName(eventName);
+    this._emitter.off(eventName, handler);
+  }
+
+  /**
+   * Listen to the next occurrence of an event of the plot only.
+   * @memberof BaseGL
+   * @param {string} eventName, name of the event
+   * @param {Function} handler, called with the payload of the next event
+   * @return {Function} removes the listener
+   * @example
+   * plot.once("viewportChange", (viewport) => console.log(viewport.xRange));
+   */
+  once(eventName, handler) {
+    this._validateEventName(eventName);
+    this._emitter.once(eventName, handler);
+    return () => this.off(eventName, handler);
+  }
+
+  /**
+   * Check that an event can be listened to.
+   *
+   * @param {string} eventName, name of the event
+   * @memberof BaseGL
+   */
+  _validateEventName(eventName) {
+    if (!Object.prototype.hasOwnProperty.call(PLOT_EVENTS, eventName)) {
+      throw `${eventName} needs to be one of ${Object.keys(PLOT_EVENTS).join(
+        ", "
+      )}`;
+    }
+  }
+
+  /**
+   * Notify the callback property and the listeners of an event.
+   *
+   * @param {string} eventName, name of the event
+   * @param {any} payload, passed to the callback and the listeners
+   * @memberof BaseGL
+   */
+  _emit(eventName, payload) {
+    this[PLOT_EVENTS[eventName]](payload);
+    this._emitter.emit(eventName, payload);
+  }
+
   /**
    * Default callback handler when a lasso or box selection is made on the plot
    *
@@ -1357,6 +5200,28 @@ class BaseGL {
     return label;
   }
 
+  /**
+   * Default callback handler when the rows are sorted by a column
+   * @param {object} sort, the `column` (original position), `direction`
+   *  (`ascending`, `descending` or null) and the new `rowOrder`
+   * @return {object} sort
+   * @memberof BaseGL
+   */
+  sortChangeCallback(sort) {
+    return sort;
+  }
+
+  /**
+   * Default callback handler when a row or column is moved by dragging its label
+   * @param {object} change, the `axis`, the original position (`index`) of the moved
+   *  row/column, its positions `from` and `to` as displayed, and the new `order`
+   * @return {object} change
+   * @memberof BaseGL
+   */
+  orderChangeCallback(change) {
+    return change;
+  }
+
   /**
    *
    * Default callback handler when viewport is changed
@@ -11,9 +11,9 @@ import {
 import {
   getMaxRadiusForDotplot,
   getMinMax,
+  isArrayOrTypedArray,
   getScaledRadiusForDotplot,
   parseMargins,
-  mapArrayOrTypedArray,
 } from "./utils";
 
 /**
@@ -68,6 +68,29 @@ class DotplotGL extends BaseGL {
     }
   }
 
+  /**
+   * Generate the position of each dot, centered in its cell.
+   * Cells of different panels are separated by the split gaps.
+   *
+   * @return {object} object containing the x and y positions
+   * @memberof DotplotGL
+   */
+  generatePositions() {
+    const { slots: xslots, total: xlen } = this._getGridLayout("column");
+    const { slots: yslots, total: ylen } = this._getGridLayout("row");
+
+    return {
+      x: Float32Array.from(
+        this.input.x,
+        (e, i) => -1 + (2 * xslots[e] + 1) / xlen
+      ),
+      y: Float32Array.from(
+        this.input.y,
+        (e, i) => -1 + (2 * yslots[e] + 1) / ylen
+      ),
+    };
+  }
+
   /**
    * Generate the specification for Dot Plots.
    * checkout epiviz.gl for more information.
@@ -94,20 +117,8 @@ class DotplotGL extends BaseGL {
       );
     };
 
-    let spec_inputs = {};
-    const [, maxX] = getMinMax(this.input.x);
-    const [, maxY] = getMinMax(this.input.y);
-    let xlen = maxX + 1,
-      ylen = maxY + 1;
-
-    spec_inputs.x = mapArrayOrTypedArray(
-      this.input.x,
-      (e, i) => -1 + (2 * e + 1) / xlen
-    );
-    spec_inputs.y = mapArrayOrTypedArray(
-      this.input.y,
-      (e, i) => -1 + (2 * e + 1) / ylen
-    );
+    const { nrows: ylen, ncols: xlen } = this._getGridDimensions();
+    const spec_inputs = this.generatePositions();
 
     // Setting X and Y Axis Domains
     this.xAxisRange = [-1, 1];
@@ -147,7 +158,7 @@ class DotplotGL extends BaseGL {
     );
 
     let tsize = this.state["size"];
-    if (Array.isArray(this.state["size"])) {
+    if (isArrayOrTypedArray(this.state["size"])) {
       let [minRadiusOriginal, maxRadiusOriginal] = getMinMax(
         this.state["size"]
       );
@@ -240,10 +251,7 @@ class DotplotGL extends BaseGL {
     if (!this.sizeLegendData) return;
     let { minSize, maxSize, steps, maxSizeInPx, minSizeInPx } =
       this.sizeLegendData;
-    const [, maxX] = getMinMax(this.input.x);
-    const [, maxY] = getMinMax(this.input.y);
-    let xlen = maxX + 1,
-      ylen = maxY + 1;
+    const { nrows: ylen, ncols: xlen } = this._getGridDimensions();
 
     const [minRadiusOriginal, maxRadiusOriginal] = getMinMax(
       this.state["size"]
@@ -284,7 +292,8 @@ class DotplotGL extends BaseGL {
     // Calculate step size
     const stepSize = (maxSize - minSize) / (steps - 1);
 
-    // SVG container for the legend
+    // SVG container for the legend, replacing the one of the previous render
+    if (this.sizeLegendSvgNode) this.sizeLegendSvgNode.remove();
     this.sizeLegendSvgNode = select(this.sizeLegendDomElement).append("svg");
     const circleGroup = this.sizeLegendSvgNode.append("g");
     const textGroup = this.sizeLegendSvgNode.append("g");
@@ -392,7 +401,7 @@ class DotplotGL extends BaseGL {
       }
 
       this.updateMarginsToAccountForSizeLegend();
-      this.plot.setSpecification(this._spec);
+      this._setSpecification(this._spec);
     }
   }
 
@@ -557,6 +566,20 @@ class DotplotGL extends BaseGL {
       this.sizeLegendDomElement = this.elem.lastChild;
     } else this.sizeLegendDomElement = legendDomElement;
   }
+
+  /**
+   * Remove the plot from the page, including a size legend
+   * rendered in an element given to `setSizeLegendOptions`.
+   * @memberof DotplotGL
+   */
+  destroy() {
+    if (this.sizeLegendSvgNode) {
+      this.sizeLegendSvgNode.remove();
+      this.sizeLegendSvgNode = null;
+    }
+
+    super.destroy();
+  }
 }
 
 export default DotplotGL;
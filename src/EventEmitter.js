@@ -0,0 +1,149 @@
+/**
+ * Events of a plot, with the callback property that also receives them.
+ * Callback properties are kept for backwards compatibility, `on` allows
+ * several listeners for the same event.
+ */
+export const PLOT_EVENTS = {
+  hover: "hoverCallback",
+  click: "clickCallback",
+  selection: "selectionCallback",
+  viewportChange: "viewportChangeCallback",
+  highlightedIndices: "highlightedIndicesCallback",
+  labelHovered: "labelHoveredCallback",
+  labelUnhovered: "labelUnhoveredCallback",
+  sortChange: "sortChangeCallback",
+  orderChange: "orderChangeCallback",
+};
+
+/**
+ * Payload of the `hover` and `click` events, from epiviz.gl.
+ * @typedef {object} PointEvent
+ * @property {Array<number>} indices - Index of the closest cell.
+ * @property {number} distance - Distance between the cursor and the cell, 0 when over it.
+ * @property {boolean} isInside - Whether the cursor is over the cell.
+ * @property {object} event - The mouse event (clientX, clientY, ...).
+ * @property {number} row - Row of the clicked cell, from the top (click only).
+ * @property {number} col - Column of the clicked cell (click only).
+ */
+
+/**
+ * Payload of the `selection` event, from epiviz.gl.
+ * @typedef {object} SelectionEvent
+ * @property {object} selection - The selected cells, their `indices`.
+ * @property {Array<number>} bounds - The selected box or lasso, in plot coordinates.
+ */
+
+/**
+ * Payload of the `viewportChange` event, from epiviz.gl.
+ * @typedef {object} ViewportEvent
+ * @property {Array<number>} xRange - Visible range along x.
+ * @property {Array<number>} yRange - Visible range along y.
+ */
+
+/**
+ * Payload of the `labelHovered` and `labelUnhovered` events, from epiviz.gl.
+ * @typedef {object} LabelEvent
+ * @property {string} label - Text of the label.
+ * @property {object} labelObject - The label, its `type` (`row` for column labels,
+ *  `column` for row labels) and `index`.
+ * @property {object} event - The mouse event.
+ */
+
+/**
+ * Payload of the `sortChange` event.
+ * @typedef {object} SortEvent
+ * @property {number} column - Original position of the column the rows are sorted by.
+ * @property {?string} direction - `ascending`, `descending` or null when the sort is removed.
+ * @property {Array<number>} rowOrder - Original position of each row in the new order.
+ */
+
+/**
+ * Payload of the `orderChange` event, when a label is dragged to a new position.
+ * @typedef {object} OrderEvent
+ * @property {string} axis - Either `row` or `column`.
+ * @property {number} index - Original position of the moved row/column.
+ * @property {number} from - Its position before the move, as displayed.
+ * @property {number} to - Its position after the move, as displayed.
+ * @property {Array<number>} order - Original position of each row/column in the new order.
+ */
+
+/**
+ * Minimal event emitter, several listeners per event.
+ */
+class EventEmitter {
+  constructor() {
+    this.listeners = {};
+  }
+
+  /**
+   * Add a listener.
+   *
+   * @param {string} eventName - Name of the event.
+   * @param {Function} handler - Called with the payload of each event.
+   */
+  on(eventName, handler) {
+    if (typeof handler !== "function") {
+      throw `handler of ${eventName} must be a function`;
+    }
+
+    this.listeners[eventName] = [...(this.listeners[eventName] || []), handler];
+  }
+
+  /**
+   * Remove a listener, or all the listeners of an event without a handler.
+   *
+   * @param {string} eventName - Name of the event.
+   * @param {?Function} handler - The listener passed to `on` or `once`.
+   */
+  off(eventName, handler) {
+    if (!handler) {
+      delete this.listeners[eventName];
+      return;
+    }
+
+    this.listeners[eventName] = (this.listeners[eventName] || []).filter(
+      (listener) => listener !== handler && listener.handler !== handler
+    );
+  }
+
+  /**
+   * Add a listener called for the next event only.
+   *
+   * @param {string} eventName - Name of the event.
+   * @param {Function} handler - Called with the payload of the next event.
+   */
+  once(eventName, handler) {
+    if (typeof handler !== "function") {
+      throw `handler of ${eventName} must be a function`;
+    }
+
+    const listener = (payload) => {
+      this.off(eventName, listener);
+      handler(payload);
+    };
+    listener.handler = handler;
+    this.on(eventName, listener);
+  }
+
+  /**
+   * Call the listeners of an event.
+   *
+   * @param {string} eventName - Name of the event.
+   * @param {any} payload - Passed to each listener.
+   */
+  emit(eventName, payload) {
+    // listeners added or removed while emitting apply from the next event
+    [...(this.listeners[eventName] || [])].forEach((listener) =>
+      listener(payload)
+    );
+  }
+
+  /**
+   * Remove all the listeners.
+   */
+  clear() {
+    this.listeners = {};
+  }
+}
+
+export default EventEmitter;
@@ -1,5 +1,4 @@
 import BaseGL from "./BaseGL";
-import { getMinMax, mapArrayOrTypedArray } from "./utils";
 
 /**
  * Class to create traditional heatmap plots
@@ -26,6 +25,32 @@ class RectplotGL extends BaseGL {
     };
   }
 
+  /**
+   * Generate the position of each rect.
+   * Same positions as a categorical channel with one category per column/row,
+   * but independent of the order in which the cells appear, so rows and
+   * columns can be reordered. Rects of different panels are separated by
+   * the split gaps.
+   *
+   * @return {object} object containing the x and y positions
+   * @memberof RectplotGL
+   */
+  generatePositions() {
+    const { slots: xslots, total: ncols } = this._getGridLayout("column");
+    const { slots: yslots, total: nrows } = this._getGridLayout("row");
+
+    return {
+      x: Float32Array.from(
+        this.input.x,
+        (e, i) => -1 + (2 * xslots[e]) / ncols
+      ),
+      y: Float32Array.from(
+        this.input.y,
+        (e, i) => -1 + (2 * yslots[e]) / nrows
+      ),
+    };
+  }
+
   /**
    * Generate the specification for Rect heatmap Plots.
    * checkout epiviz.gl for more information.
@@ -52,23 +77,20 @@ class RectplotGL extends BaseGL {
       );
     };
 
-    let spec_inputs = {};
-
     // Setting X and Y Axis Domains to [-1, 1]
     this.xAxisRange = [-1, 1];
     this.yAxisRange = [-1, 1];
 
-    spec_inputs.x = mapArrayOrTypedArray(this.input.x, (e, i) => String(e));
-    spec_inputs.y = mapArrayOrTypedArray(this.input.y, (e, i) => String(e));
-
-    let default_width = 198 / (getMinMax(this.input.x)[1] + 1);
-    let default_height = 198 / (getMinMax(this.input.y)[1] + 1);
+    const { nrows, ncols } = this._getGridDimensions();
+    const spec_inputs = this.generatePositions();
+    let default_width = 198 / ncols;
+    let default_height = 198 / nrows;
 
-    spec_inputs.width = mapArrayOrTypedArray(
+    spec_inputs.width = Float32Array.from(
       this.input.x,
       (e, i) => default_width - xGaps(i)
     );
-    spec_inputs.height = mapArrayOrTypedArray(
+    spec_inputs.height = Float32Array.from(
       this.input.y,
       (e, i) => default_height - yGaps(i)
     );
@@ -86,15 +108,13 @@ class RectplotGL extends BaseGL {
           mark: "rect",
           x: {
             attribute: "x",
-            type: "categorical",
-            scale: "linear",
-            cardinality: getMinMax(this.input.x)[1] + 1,
+            type: "quantitative",
+            domain: this.xAxisRange,
           },
           y: {
             attribute: "y",
-            type: "categorical",
-            scale: "linear",
-            cardinality: getMinMax(this.input.y)[1] + 1,
+            type: "quantitative",
+            domain: this.yAxisRange,
           },
           opacity: { value: this.state.opacity },
           width: { value: default_width },
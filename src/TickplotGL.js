@@ -35,8 +35,9 @@ class TickplotGL extends BaseGL {
    * @memberof TickplotGL
    */
   generateSpec() {
-    let default_width = 198 / (getMinMax(this.input.x)[1] + 1);
-    let default_height = 198 / (getMinMax(this.input.y)[1] + 1);
+    const { nrows, ncols } = this._getMatrixDimensions();
+    let default_width = 198 / ncols;
+    let default_height = 198 / nrows;
 
     // config for labels
     let labels = null;
@@ -76,9 +77,14 @@ class TickplotGL extends BaseGL {
       }
     }
 
-    // Setting X and Y Axis Domains
-    this.xAxisRange = getMinMax(this.input.x);
-    this.yAxisRange = getMinMax(this.input.y);
+    // Setting X and Y Axis Domains, for matrix input these span
+    // the whole matrix, not just the extent of the non-zero cells
+    this.xAxisRange = this.matrix
+      ? [0, this.matrix.ncols - 1]
+      : getMinMax(this.input.x);
+    this.yAxisRange = this.matrix
+      ? [0, this.matrix.nrows - 1]
+      : getMinMax(this.input.y);
 
     let spec = {
       margins: this.margins,
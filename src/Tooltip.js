@@ -1,22 +1,40 @@
 import tippy from "tippy.js";
 import "tippy.js/dist/tippy.css";
 
+/**
+ * Tooltips of a plot: a single tooltip following the cursor, and any number
+ * of pinned tooltips that stay open until they are dismissed.
+ *
+ * Each plot has its own instance, so tooltips of different plots do not
+ * share content or props.
+ */
 class Tooltip {
-  constructor() {
-    if (!Tooltip.instance) {
-      Tooltip.instance = this;
-      this.createSingletonTooltip();
-    }
-    return Tooltip.instance;
+  /**
+   * @param {HTMLElement} container - Element the tooltips are mounted into,
+   *  e.g. inside a shadow root (default: document.body).
+   */
+  constructor(container = document.body) {
+    this.container = container;
+    this.pinnedTooltips = [];
+    this.createTooltip();
+  }
+
+  createReference() {
+    // tippy needs a reference element, tooltips are positioned at the cursor
+    const reference = document.createElement("span");
+    reference.style.position = "absolute";
+    this.container.appendChild(reference);
+    return reference;
   }
 
-  createSingletonTooltip() {
+  createTooltip() {
     // Create an invisible, persistent tooltip
-    this.currentTooltip = tippy(document.body, {
+    this.currentTooltip = tippy(this.createReference(), {
       content: "",
       trigger: "manual",
       arrow: true,
       placement: "right",
+      appendTo: this.container,
     });
   }
 
@@ -43,6 +61,79 @@ class Tooltip {
       this.currentTooltip.hide();
     }
   }
+
+  /**
+   * Open a tooltip that stays at a position until its close button is clicked.
+   * Its text can be selected and copied.
+   *
+   * @param {string|HTMLElement} content - Content of the tooltip.
+   * @param {number} x - Horizontal position, in client coordinates.
+   * @param {number} y - Vertical position, in client coordinates.
+   * @returns {object} - The tippy instance of the pinned tooltip.
+   */
+  pinTooltip(content, x, y) {
+    const body = document.createElement("div");
+    const close = document.createElement("button");
+    close.textContent = "×";
+    close.title = "Close";
+    close.style.cssText =
+      "float: right; margin-left: 8px; padding: 0; border: none; background: none; color: inherit; cursor: pointer;";
+    body.appendChild(close);
+    body.append(content);
+
+    const pinned = tippy(this.createReference(), {
+      content: body,
+      trigger: "manual",
+      arrow: true,
+      placement: "right",
+      appendTo: this.container,
+      interactive: true,
+      hideOnClick: false,
+      getReferenceClientRect: () => ({
+        width: 0,
+        height: 0,
+        top: y,
+        left: x,
+        right: x,
+        bottom: y,
+      }),
+    });
+
+    close.addEventListener("click", () => this.unpinTooltip(pinned));
+    this.pinnedTooltips.push(pinned);
+    pinned.show();
+
+    return pinned;
+  }
+
+  /**
+   * Dismiss a pinned tooltip.
+   *
+   * @param {object} pinned - The tippy instance returned by `pinTooltip`.
+   */
+  unpinTooltip(pinned) {
+    this.pinnedTooltips = this.pinnedTooltips.filter((t) => t !== pinned);
+    const reference = pinned.reference;
+    pinned.destroy();
+    reference.remove();
+  }
+
+  /**
+   * Dismiss all the pinned tooltips.
+   */
+  unpinAllTooltips() {
+    [...this.pinnedTooltips].forEach((pinned) => this.unpinTooltip(pinned));
+  }
+
+  /**
+   * Remove all the tooltips from the page.
+   */
+  destroy() {
+    this.unpinAllTooltips();
+    const reference = this.currentTooltip.reference;
+    this.currentTooltip.destroy();
+    reference.remove();
+  }
 }
 
 export default Tooltip;
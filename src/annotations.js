@@ -0,0 +1,86 @@
+import { schemeTableau10 } from "d3-scale-chromatic";
+import { createColorScale } from "./colorScale";
+import { isArrayOrTypedArray, isObject } from "./utils";
+import {
+  DEFAULT_ANNOTATION_TRACK_SIZE_IN_PX,
+  DEFAULT_NA_COLOR,
+} from "./constants";
+
+const ANNOTATION_TRACK_TYPES = ["categorical", "continuous"];
+
+/**
+ * Validate an annotation track and compute the color of each row or column.
+ *
+ * Categorical tracks take their colors from `colors`, either an object mapping
+ * each category to a color or an array of colors assigned to the categories in
+ * order of appearance (default: d3 `schemeTableau10`).
+ * Continuous tracks map their values through their own color scale.
+ *
+ * @param {object} track - The annotation track.
+ * @param {string} track.name - Title of the track, shown next to it and in its legend.
+ * @param {string} track.type - Either `categorical` (default) or `continuous`.
+ * @param {Array|TypedArray} track.values - A category or a number for each row/column, in input order.
+ * @param {object|Array<string>} track.colors - Colors of the categories (categorical only).
+ * @param {object} track.colorScale - Color scale options (continuous only), see `createColorScale`.
+ * @param {number} track.size - Thickness of the track in px.
+ * @param {number} length - Number of rows/columns the track annotates.
+ * @returns {object} - The track, with the css `colors` of each row/column and its `legend`.
+ */
+export const prepareAnnotationTrack = (track, length) => {
+  const {
+    name,
+    type = "categorical",
+    values,
+    size = DEFAULT_ANNOTATION_TRACK_SIZE_IN_PX,
+  } = track;
+
+  if (typeof name !== "string" || !name) {
+    throw `annotation tracks need a name`;
+  }
+
+  if (!ANNOTATION_TRACK_TYPES.includes(type)) {
+    throw `${type} needs to be one of ${ANNOTATION_TRACK_TYPES.join(", ")}`;
+  }
+
+  if (!isArrayOrTypedArray(values) || values.length !== length) {
+    throw `values of annotation track ${name} must contain one value for each of the ${length} rows/columns`;
+  }
+
+  let colorOf, legend;
+  if (type === "categorical") {
+    const categories = [...new Set(values)].filter(
+      (v) => v !== null && v !== undefined
+    );
+    const palette = Array.isArray(track.colors)
+      ? track.colors
+      : schemeTableau10;
+    const mapping = track.colors && isObject(track.colors) ? track.colors : {};
+
+    const categoryColors = new Map();
+    categories.forEach((category, i) => {
+      categoryColors.set(
+        category,
+        mapping[category] || palette[i % palette.length]
+      );
+    });
+
+    colorOf = (v) => categoryColors.get(v) || DEFAULT_NA_COLOR;
+    legend = categories.map((category) => ({
+      color: categoryColors.get(category),
+      label: String(category),
+    }));
+  } else {
+    const colorScale = createColorScale(track.colorScale, values);
+    colorOf = colorScale.color;
+    legend = colorScale.legendData;
+  }
+
+  return {
+    name,
+    type,
+    size,
+    values,
+    colors: Array.from(values, colorOf),
+    legend,
+  };
+};
@@ -0,0 +1,98 @@
+import { hierarchicalClustering } from "./hclust";
+
+/**
+ * Copy the columns of a row-major matrix into consecutive vectors.
+ *
+ * @param {Float64Array} data - The matrix, row-major.
+ * @param {number} nrows - Number of rows.
+ * @param {number} ncols - Number of columns.
+ * @returns {Float64Array} - The transposed matrix, row-major.
+ */
+const transpose = (data, nrows, ncols) => {
+  const transposed = new Float64Array(data.length);
+  for (let row = 0; row < nrows; row++) {
+    for (let col = 0; col < ncols; col++) {
+      transposed[col * nrows + row] = data[row * ncols + col];
+    }
+  }
+  return transposed;
+};
+
+/**
+ * Cluster the vectors of each panel separately.
+ * The dendrograms of the panels are combined into a single forest, whose
+ * leaves are the positions of the vectors and whose merges are numbered
+ * after all the leaves, panel after panel.
+ *
+ * @param {Float64Array} data - The vectors, one after the other.
+ * @param {number} n - Number of vectors.
+ * @param {number} dim - Length of each vector.
+ * @param {Array<Array<number>>} panels - Positions of the vectors in each panel.
+ * @param {object} options - Clustering options, see `hierarchicalClustering`.
+ * @returns {object} - The `merges` of the forest and the `order` of all the leaves.
+ */
+const clusterPanels = (data, n, dim, panels, options) => {
+  const merges = [];
+  const order = [];
+
+  panels.forEach((positions) => {
+    const m = positions.length;
+    const subset = new Float64Array(m * dim);
+    positions.forEach((position, i) =>
+      subset.set(data.subarray(position * dim, (position + 1) * dim), i * dim)
+    );
+
+    const result = hierarchicalClustering(subset, m, dim, options);
+    const offset = n + merges.length;
+    const relabel = (node) => (node < m ? positions[node] : offset + node - m);
+
+    result.merges.forEach((merge) =>
+      merges.push({
+        ...merge,
+        left: relabel(merge.left),
+        right: relabel(merge.right),
+      })
+    );
+    result.order.forEach((leaf) => order.push(positions[leaf]));
+  });
+
+  return { merges, order: Uint32Array.from(order) };
+};
+
+self.onmessage = (message) => {
+  const {
+    id,
+    data,
+    nrows,
+    ncols,
+    rows,
+    columns,
+    rowPanels,
+    columnPanels,
+    metric,
+    linkage,
+  } = message.data;
+
+  try {
+    const result = { id };
+    if (rows) {
+      result.rows = rowPanels
+        ? clusterPanels(data, nrows, ncols, rowPanels, { metric, linkage })
+        : hierarchicalClustering(data, nrows, ncols, { metric, linkage });
+    }
+
+    if (columns) {
+      const transposed = transpose(data, nrows, ncols);
+      result.columns = columnPanels
+        ? clusterPanels(transposed, ncols, nrows, columnPanels, {
+            metric,
+            linkage,
+          })
+        : hierarchicalClustering(transposed, ncols, nrows, { metric, linkage });
+    }
+
+    self.postMessage(result);
+  } catch (error) {
+    self.postMessage({ id, error: String(error) });
+  }
+};
@@ -0,0 +1,290 @@
+export const DISTANCE_METRICS = [
+  "euclidean",
+  "manhattan",
+  "correlation",
+  "cosine",
+];
+
+export const LINKAGE_METHODS = ["single", "complete", "average", "ward"];
+
+/**
+ * Index of the pair (i, j), i < j, in a condensed distance matrix of n items.
+ *
+ * @param {number} n - Number of items.
+ * @param {number} i - Index of the first item.
+ * @param {number} j - Index of the second item, larger than `i`.
+ * @returns {number} - Position of the pair in the condensed matrix.
+ */
+const condensedIndex = (n, i, j) => n * i - (i * (i + 1)) / 2 + j - i - 1;
+
+/**
+ * Build a function computing the distance between two vectors
+ * stored at offsets of the same flat array.
+ *
+ * @param {string} metric - One of `DISTANCE_METRICS`.
+ * @param {Float64Array} data - The vectors, one after the other.
+ * @param {number} dim - Length of each vector.
+ * @returns {Function} - `(a, b)` returning the distance between vectors `a` and `b`.
+ */
+const getDistanceFunction = (metric, data, dim) => {
+  switch (metric) {
+    case "euclidean":
+      return (a, b) => {
+        let sum = 0;
+        for (let k = 0; k < dim; k++) {
+          const d = data[a * dim + k] - data[b * dim + k];
+          sum += d * d;
+        }
+        return Math.sqrt(sum);
+      };
+    case "manhattan":
+      return (a, b) => {
+        let sum = 0;
+        for (let k = 0; k < dim; k++) {
+          sum += Math.abs(data[a * dim + k] - data[b * dim + k]);
+        }
+        return sum;
+      };
+    case "correlation":
+    case "cosine": {
+      // center (correlation) and normalize the vectors once,
+      // so that the distance is 1 - their dot product
+      const normalized = new Float64Array(data.length);
+      const n = data.length / dim;
+      for (let v = 0; v < n; v++) {
+        let mean = 0;
+        if (metric === "correlation") {
+          for (let k = 0; k < dim; k++) mean += data[v * dim + k];
+          mean /= dim;
+        }
+
+        let norm = 0;
+        for (let k = 0; k < dim; k++) {
+          const centered = data[v * dim + k] - mean;
+          normalized[v * dim + k] = centered;
+          norm += centered * centered;
+        }
+
+        norm = Math.sqrt(norm);
+        for (let k = 0; k < dim; k++) {
+          normalized[v * dim + k] =
+            norm > 0 ? normalized[v * dim + k] / norm : 0;
+        }
+      }
+
+      return (a, b) => {
+        let dot = 0;
+        for (let k = 0; k < dim; k++) {
+          dot += normalized[a * dim + k] * normalized[b * dim + k];
+        }
+        return Math.max(1 - dot, 0);
+      };
+    }
+    default:
+      throw `${metric} needs to be one of ${DISTANCE_METRICS.join(", ")}`;
+  }
+};
+
+/**
+ * Compute the condensed matrix of pairwise distances between vectors.
+ *
+ * @param {Float64Array} data - The vectors, one after the other.
+ * @param {number} n - Number of vectors.
+ * @param {number} dim - Length of each vector.
+ * @param {string} metric - One of `DISTANCE_METRICS`.
+ * @returns {Float64Array} - Distances of all pairs (i, j) with i < j, row by row.
+ */
+export const computeDistances = (data, n, dim, metric = "euclidean") => {
+  const distance = getDistanceFunction(metric, data, dim);
+  const distances = new Float64Array((n * (n - 1)) / 2);
+
+  let p = 0;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      distances[p++] = distance(i, j);
+    }
+  }
+
+  return distances;
+};
+
+/**
+ * Lance-Williams update: distance between the merge of clusters a and b
+ * and another cluster k.
+ *
+ * @param {string} linkage - One of `LINKAGE_METHODS`.
+ * @returns {Function} - `(dak, dbk, dab, na, nb, nk)` returning the new distance.
+ */
+const getLinkageUpdate = (linkage) => {
+  switch (linkage) {
+    case "single":
+      return (dak, dbk) => Math.min(dak, dbk);
+    case "complete":
+      return (dak, dbk) => Math.max(dak, dbk);
+    case "average":
+      return (dak, dbk, dab, na, nb) => (na * dak + nb * dbk) / (na + nb);
+    case "ward":
+      return (dak, dbk, dab, na, nb, nk) =>
+        Math.sqrt(
+          Math.max(
+            ((na + nk) * dak * dak + (nb + nk) * dbk * dbk - nk * dab * dab) /
+              (na + nb + nk),
+            0
+          )
+        );
+    default:
+      throw `${linkage} needs to be one of ${LINKAGE_METHODS.join(", ")}`;
+  }
+};
+
+/**
+ * Agglomerative hierarchical clustering of vectors, using the
+ * nearest-neighbor chain algorithm (O(n^2) time and memory).
+ *
+ * Merges follow the convention of R's `hclust` and scipy's `linkage`:
+ * leaves are numbered `0..n-1` and the cluster created by the i-th merge
+ * is numbered `n + i`. Merges are sorted by height.
+ *
+ * @param {Float64Array} data - The vectors, one after the other.
+ * @param {number} n - Number of vectors.
+ * @param {number} dim - Length of each vector.
+ * @param {object} options - Clustering options.
+ * @param {string} options.metric - One of `DISTANCE_METRICS` (default: euclidean).
+ * @param {string} options.linkage - One of `LINKAGE_METHODS` (default: average).
+ * @returns {object} - The `merges` ({left, right, height, size}) and the leaf `order`.
+ */
+export const hierarchicalClustering = (data, n, dim, options = {}) => {
+  const { metric = "euclidean", linkage = "average" } = options;
+
+  if (linkage === "ward" && metric !== "euclidean") {
+    throw `ward linkage requires the euclidean metric`;
+  }
+
+  const update = getLinkageUpdate(linkage);
+  if (n < 2) {
+    return { merges: [], order: getLeafOrder([], n) };
+  }
+
+  const distances = computeDistances(data, n, dim, metric);
+  const distanceBetween = (i, j) =>
+    i < j
+      ? distances[condensedIndex(n, i, j)]
+      : distances[condensedIndex(n, j, i)];
+
+  // each cluster is stored in the slot of one of its leaves
+  const size = new Uint32Array(n).fill(1);
+  const active = new Uint8Array(n).fill(1);
+  const unsorted = [];
+  const chain = [];
+
+  while (unsorted.length < n - 1) {
+    if (chain.length === 0) {
+      chain.push(active.indexOf(1));
+    }
+
+    let a, b;
+    for (;;) {
+      a = chain[chain.length - 1];
+      const previous = chain.length > 1 ? chain[chain.length - 2] : -1;
+
+      // prefer the previous element of the chain on ties, so the chain ends
+      let nearest = previous;
+      let nearestDistance =
+        previous === -1 ? Infinity : distanceBetween(a, previous);
+      for (let k = 0; k < n; k++) {
+        if (!active[k] || k === a) continue;
+        const d = distanceBetween(a, k);
+        if (d < nearestDistance) {
+          nearest = k;
+          nearestDistance = d;
+        }
+      }
+
+      if (nearest === previous) {
+        b = previous;
+        break;
+      }
+
+      chain.push(nearest);
+    }
+
+    chain.pop();
+    chain.pop();
+
+    const dab = distanceBetween(a, b);
+    unsorted.push({ a, b, height: dab });
+
+    // the merged cluster takes the slot of b
+    for (let k = 0; k < n; k++) {
+      if (!active[k] || k === a || k === b) continue;
+      const d = update(
+        distanceBetween(a, k),
+        distanceBetween(b, k),
+        dab,
+        size[a],
+        size[b],
+        size[k]
+      );
+      distances[b < k ? condensedIndex(n, b, k) : condensedIndex(n, k, b)] = d;
+    }
+
+    active[a] = 0;
+    size[b] += size[a];
+  }
+
+  // sort by height and relabel the slots with cluster ids, using union-find
+  unsorted.sort((m1, m2) => m1.height - m2.height);
+  const parent = new Int32Array(2 * n - 1).map((_, i) => i);
+  const find = (x) => {
+    while (parent[x] !== x) {
+      parent[x] = parent[parent[x]];
+      x = parent[x];
+    }
+    return x;
+  };
+  const clusterSize = new Uint32Array(2 * n - 1).fill(1);
+
+  const merges = unsorted.map(({ a, b, height }, i) => {
+    const left = find(a);
+    const right = find(b);
+    const id = n + i;
+    parent[left] = id;
+    parent[right] = id;
+    clusterSize[id] = clusterSize[left] + clusterSize[right];
+
+    return {
+      left: Math.min(left, right),
+      right: Math.max(left, right),
+      height,
+      size: clusterSize[id],
+    };
+  });
+
+  return { merges, order: getLeafOrder(merges, n) };
+};
+
+/**
+ * Get the order of the leaves of a dendrogram, from left to right.
+ *
+ * @param {Array<object>} merges - Merges as returned by `hierarchicalClustering`.
+ * @param {number} n - Number of leaves.
+ * @returns {Uint32Array} - The leaves in order.
+ */
+export const getLeafOrder = (merges, n) => {
+  const order = new Uint32Array(n);
+  if (n < 2) return order.fill(0, 0, n);
+
+  let position = 0;
+  const stack = [2 * n - 2];
+  while (stack.length) {
+    const node = stack.pop();
+    if (node < n) {
+      order[position++] = node;
+    } else {
+      const { left, right } = merges[node - n];
+      stack.push(right, left);
+    }
+  }
+
+  return order;
+};
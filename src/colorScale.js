@@ -0,0 +1,245 @@
+import * as chromatic from "d3-scale-chromatic";
+import { scaleLinear } from "d3-scale";
+import { bisectLeft } from "d3-array";
+import { colorToHex, getMinMax, isArrayOrTypedArray } from "./utils";
+import {
+  COLOR_LOOKUP_TABLE_SIZE,
+  DEFAULT_COLOR_SCHEME,
+  DEFAULT_DIVERGING_COLOR_SCHEME,
+  DEFAULT_NA_COLOR,
+  INTENSITY_LEGEND_STEPS,
+  INTENSITY_LEGEND_LABEL_EVERY,
+} from "./constants";
+
+const COLOR_SCALE_TYPES = ["linear", "log", "quantile", "diverging"];
+
+/**
+ * Resolve a color scheme to an interpolator function over [0, 1].
+ *
+ * @param {string|Array<string>|Function} scheme - Name of a d3-scale-chromatic scheme
+ *  (e.g. `viridis`, `RdBu` or `interpolateViridis`), an array of colors or an interpolator.
+ * @param {boolean} reverse - Whether to reverse the scheme.
+ * @returns {Function} - A function mapping [0, 1] to a css color.
+ */
+export const getColorInterpolator = (scheme, reverse = false) => {
+  let interpolator;
+  if (typeof scheme === "function") {
+    interpolator = scheme;
+  } else if (Array.isArray(scheme) && scheme.length > 1) {
+    interpolator = scaleLinear()
+      .domain(scheme.map((_, i) => i / (scheme.length - 1)))
+      .range(scheme);
+  } else if (typeof scheme === "string") {
+    const name = `interpolate${scheme.replace(/^interpolate/i, "")}`;
+    const key = Object.keys(chromatic).find(
+      (k) => k.toLowerCase() === name.toLowerCase()
+    );
+    interpolator = key && chromatic[key];
+  }
+
+  if (typeof interpolator !== "function") {
+    throw `${scheme} is not a valid color scheme, needs to be a d3-scale-chromatic scheme, an array of colors or a function`;
+  }
+
+  return reverse ? (t) => interpolator(1 - t) : interpolator;
+};
+
+/**
+ * Get the minimum and maximum of the finite values, optionally filtered.
+ *
+ * @param {Array<number>|TypedArray} values - The values.
+ * @param {Function} filter - Only consider values for which this returns true.
+ * @returns {Array<number>} - The minimum and maximum, in that order.
+ */
+const getFiniteMinMax = (values, filter = () => true) => {
+  let min = Infinity,
+    max = -Infinity;
+  for (let i = 0; i < values.length; i++) {
+    const v = values[i];
+    if (Number.isFinite(v) && filter(v)) {
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+  }
+  return min <= max ? [min, max] : [0, 1];
+};
+
+/**
+ * Create a color scale that maps values to colors, and the intensity legend
+ * that describes it.
+ *
+ * The scale first maps each value to a position in [0, 1] and then looks
+ * the color up from the scheme. The same positions are used for the legend,
+ * so the legend always matches the cells.
+ *
+ * @param {object} options - Options for the color scale.
+ * @param {string|Array<string>|Function} options.scheme - The color scheme, see `getColorInterpolator`.
+ * @param {string} options.type - One of `linear` (default), `log`, `quantile` or `diverging`.
+ * @param {Array<number>} options.domain - Minimum and maximum values, computed from the values if not provided.
+ * @param {number} options.midpoint - Center of a diverging scale (default: 0).
+ * @param {boolean} options.clamp - Clamp values outside the domain to the end colors (default: true),
+ *  otherwise they are shown with `naColor`.
+ * @param {boolean} options.reverse - Reverse the color scheme.
+ * @param {string} options.naColor - Color for missing values, values outside the domain
+ *  (when not clamped) and non-positive values on a log scale.
+ * @param {Array<number>|TypedArray} values - The values the scale is built for.
+ * @param {boolean} includeZero - Whether the computed domain should include zero,
+ *  e.g. for the implicit zeros of a sparse matrix.
+ * @returns {object} - The color scale, with `position`, `color`, `mapValues` and `legendData`.
+ */
+export const createColorScale = (options = {}, values, includeZero = false) => {
+  const {
+    type = "linear",
+    midpoint = 0,
+    clamp = true,
+    reverse = false,
+    naColor = DEFAULT_NA_COLOR,
+  } = options;
+
+  if (!COLOR_SCALE_TYPES.includes(type)) {
+    throw `${type} needs to be one of ${COLOR_SCALE_TYPES.join(", ")}`;
+  }
+
+  if (!isArrayOrTypedArray(values)) {
+    throw `values must be an array or a typed array`;
+  }
+
+  const interpolator = getColorInterpolator(
+    options.scheme ||
+      (type === "diverging"
+        ? DEFAULT_DIVERGING_COLOR_SCHEME
+        : DEFAULT_COLOR_SCHEME),
+    reverse
+  );
+
+  let domain = options.domain;
+  if (!domain) {
+    domain =
+      type === "log"
+        ? getFiniteMinMax(values, (v) => v > 0)
+        : getFiniteMinMax(values);
+
+    if (includeZero && type !== "log") {
+      domain = [Math.min(domain[0], 0), Math.max(domain[1], 0)];
+    }
+
+    if (type === "diverging") {
+      const extent = Math.max(
+        Math.abs(domain[0] - midpoint),
+        Math.abs(domain[1] - midpoint)
+      );
+      domain = [midpoint - extent, midpoint + extent];
+    }
+  }
+
+  const [d0, d1] = getMinMax(domain);
+
+  if (type === "log" && d0 <= 0) {
+    throw `domain of a log color scale must be positive`;
+  }
+
+  if (type === "diverging" && (midpoint < d0 || midpoint > d1)) {
+    throw `midpoint ${midpoint} must be within the domain [${d0}, ${d1}]`;
+  }
+
+  // position in [0, 1] and its inverse, for each type of scale
+  let toPosition, fromPosition;
+  switch (type) {
+    case "log":
+      toPosition = (v) =>
+        v > 0 ? (Math.log(v) - Math.log(d0)) / (Math.log(d1 / d0) || 1) : NaN;
+      fromPosition = (t) => d0 * Math.pow(d1 / d0, t);
+      break;
+    case "diverging":
+      toPosition = (v) =>
+        v < midpoint
+          ? 0.5 * ((v - d0) / (midpoint - d0))
+          : 0.5 + 0.5 * ((v - midpoint) / (d1 - midpoint) || 0);
+      fromPosition = (t) =>
+        t < 0.5
+          ? d0 + (t / 0.5) * (midpoint - d0)
+          : midpoint + ((t - 0.5) / 0.5) * (d1 - midpoint);
+      break;
+    case "quantile": {
+      const sorted = Float64Array.from(values)
+        .filter((v) => Number.isFinite(v) && v >= d0 && v <= d1)
+        .sort();
+      const last = Math.max(sorted.length - 1, 1);
+      toPosition = (v) =>
+        v < d0 || v > d1
+          ? (v - d0) / (d1 - d0 || 1)
+          : bisectLeft(sorted, v) / last;
+      fromPosition = (t) =>
+        sorted.length ? sorted[Math.round(t * (sorted.length - 1))] : d0;
+      break;
+    }
+    case "linear":
+    default:
+      toPosition = (v) => (v - d0) / (d1 - d0 || 1);
+      fromPosition = (t) => d0 + t * (d1 - d0);
+  }
+
+  const position = (value) => {
+    if (value === null || value === undefined || Number.isNaN(value)) {
+      return NaN;
+    }
+
+    const t = toPosition(value);
+    if (!Number.isFinite(t)) return NaN;
+    if (t < 0 || t > 1) return clamp ? Math.min(Math.max(t, 0), 1) : NaN;
+    return t;
+  };
+
+  const lookupTable = new Uint32Array(COLOR_LOOKUP_TABLE_SIZE);
+  for (let i = 0; i < COLOR_LOOKUP_TABLE_SIZE; i++) {
+    lookupTable[i] = colorToHex(
+      interpolator(i / (COLOR_LOOKUP_TABLE_SIZE - 1))
+    );
+  }
+  const naHex = colorToHex(naColor);
+
+  const legendData = [];
+  for (let i = 0; i < INTENSITY_LEGEND_STEPS; i++) {
+    const intensity = i / (INTENSITY_LEGEND_STEPS - 1);
+    legendData.push({
+      color: interpolator(intensity),
+      intensity,
+      label:
+        i % INTENSITY_LEGEND_LABEL_EVERY === 0 ||
+        i === INTENSITY_LEGEND_STEPS - 1
+          ? Number(fromPosition(intensity).toPrecision(3))
+          : "",
+    });
+  }
+
+  return {
+    type,
+    domain: [d0, d1],
+    legendData,
+    position,
+    /**
+     * Get the css color of a single value.
+     * @param {number} value
+     * @returns {string} css color
+     */
+    color: (value) => {
+      const t = position(value);
+      return Number.isNaN(t) ? naColor : interpolator(t);
+    },
+    /**
+     * Map values to packed RGB integers, which epiviz.gl accepts as colors.
+     * @param {Array<number>|TypedArray} toMap
+     * @returns {Uint32Array} a color for each value
+     */
+    mapValues: (toMap) => {
+      const colors = new Uint32Array(toMap.length);
+      for (let i = 0; i < toMap.length; i++) {
+        const t = position(toMap[i]);
+        colors[i] = Number.isNaN(t)
+          ? naHex
+          : lookupTable[Math.round(t * (COLOR_LOOKUP_TABLE_SIZE - 1))];
+      }
+      return colors;
+    },
+  };
+};
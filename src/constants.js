@@ -6,6 +6,7 @@ export const DEFAULT_ROW_LABEL_FONT_SIZE = "7px";
 export const DEFAULT_COLUMN_LABEL_FONT_SIZE = "7px";
 
 export const LABELS_MARGIN_BUFFER_IN_PX = 20;
+export const LABEL_GAP_IN_PX = 2;
 export const INTENSITY_LEGEND_LABEL_SIZE_IN_PX = 25;
 export const INTENSITY_LEGEND_GRADIENT_SIZE_IN_PX = 20;
 export const INTENSITY_LEGEND_SIZE_IN_PX =
@@ -14,6 +15,56 @@ export const GROUPING_LEGEND_SIZE_IN_PX = 20;
 export const INTENSITY_LEGEND_IDENTIFIER = "ehgl-intensity-legend";
 export const ROW_GROUPING_LEGEND_IDENTIFIER = "ehgl-row-grouping-legend";
 export const COLUMN_GROUPING_LEGEND_IDENTIFIER = "ehgl-column-grouping-legend";
+export const DEFAULT_DENDROGRAM_SIZE_IN_PX = 60;
+export const ROW_DENDROGRAM_IDENTIFIER = "ehgl-row-dendrogram";
+export const COLUMN_DENDROGRAM_IDENTIFIER = "ehgl-column-dendrogram";
+export const DEFAULT_ANNOTATION_TRACK_SIZE_IN_PX = 12;
+export const ANNOTATION_TRACK_GAP_IN_PX = 2;
+export const ANNOTATION_FONT_SIZE = "10px";
+export const ANNOTATION_LEGEND_ROW_HEIGHT_IN_PX = 14;
+export const ANNOTATION_LEGEND_GRADIENT_WIDTH_IN_PX = 80;
+export const ROW_ANNOTATION_IDENTIFIER = "ehgl-row-annotation";
+export const COLUMN_ANNOTATION_IDENTIFIER = "ehgl-column-annotation";
+export const ANNOTATION_LEGEND_IDENTIFIER = "ehgl-annotation-legend";
+export const PANEL_TITLE_SIZE_IN_PX = 16;
+export const ROW_PANEL_TITLES_IDENTIFIER = "ehgl-row-panel-titles";
+export const COLUMN_PANEL_TITLES_IDENTIFIER = "ehgl-column-panel-titles";
+export const PLOT_TITLE_SIZE_IN_PX = 22;
+export const PLOT_SUBTITLE_SIZE_IN_PX = 16;
+export const AXIS_TITLE_SIZE_IN_PX = 18;
+export const PLOT_TITLE_FONT_SIZE = "14px";
+export const PLOT_SUBTITLE_FONT_SIZE = "11px";
+export const AXIS_TITLE_FONT_SIZE = "12px";
+export const PLOT_TITLE_IDENTIFIER = "ehgl-plot-title";
+export const ROW_TITLE_IDENTIFIER = "ehgl-row-title";
+export const COLUMN_TITLE_IDENTIFIER = "ehgl-column-title";
+export const DEFAULT_MARGINAL_PLOT_SIZE_IN_PX = 50;
+export const DEFAULT_MARGINAL_PLOT_COLOR = "#777";
+export const MARGINAL_PLOT_IDENTIFIER = "ehgl-marginal-plot";
+export const CROSSHAIR_IDENTIFIER = "ehgl-crosshair";
+export const DEFAULT_CROSSHAIR_COLOR = "#333";
+export const DROP_INDICATOR_IDENTIFIER = "ehgl-drop-indicator";
+export const DEFAULT_DROP_INDICATOR_COLOR = "#333";
+export const LABEL_DRAG_THRESHOLD_IN_PX = 4;
+export const TOOLTIP_FIELDS = ["row", "column", "value", "color", "size"];
+export const DEFAULT_TOOLTIP_FIELDS = [
+  "row",
+  "column",
+  "value",
+  "color",
+  "size",
+];
+export const DEFAULT_RESIZE_DEBOUNCE_IN_MS = 200;
+export const DEFAULT_VIEWPORT_ANIMATION_DURATION_IN_MS = 300;
+
+export const SEARCH_BOX_IDENTIFIER = "ehgl-search-box";
+export const SEARCH_BOX_MAX_SUGGESTIONS = 20;
+export const LABEL_SEARCH_CONTEXT = 10;
+export const LABEL_FLASH_DURATION_IN_MS = 1500;
+export const DEFAULT_LABEL_FLASH_COLOR = "#d62728";
+export const SORT_ASCENDING_INDICATOR = "\u25B2";
+export const SORT_DESCENDING_INDICATOR = "\u25BC";
+export const MAX_MEASURED_TEXT_WIDTHS = 10000;
 
 export const DEFAULT_SIZE_LEGEND_SVG_PADDING = 10;
 export const DEFAULT_SIZE_LEGEND_CIRCLE_GAP = 10;
@@ -22,6 +73,14 @@ export const DEFAULT_SIZE_LEGEND_CIRCLE_TEXT_GAP = 10;
 export const DEFAULT_MIN_RADIUS_FOR_DOTPLOT = 3;
 export const DEFAULT_MARGIN_BETWEEN_DOTS = 2;
 
+export const COLOR_LOOKUP_TABLE_SIZE = 256;
+export const DEFAULT_COLOR_SCHEME = "viridis";
+export const DEFAULT_DIVERGING_COLOR_SCHEME = "RdBu";
+export const DEFAULT_NA_COLOR = "#bdbdbd";
+export const DEFAULT_SPARSE_ZERO_COLOR = "#ffffff";
+export const INTENSITY_LEGEND_STEPS = 9;
+export const INTENSITY_LEGEND_LABEL_EVERY = 2;
+
 export const DEFAULT_MARGINS = {
   top: "25px",
   bottom: "50px",
@@ -0,0 +1,228 @@
+import { select } from "d3-selection";
+import { packedColorToHex } from "./utils";
+
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+export const DATA_EXPORT_FORMATS = ["csv", "tsv", "json"];
+export const DATA_EXPORT_FIELDS = [
+  "index",
+  "row",
+  "column",
+  "rowLabel",
+  "columnLabel",
+  "x",
+  "y",
+  "value",
+  "color",
+  "size",
+  "opacity",
+];
+
+// size units of epiviz.gl: 100 units span half of the plot
+const SIZE_UNITS = 1 / 100;
+
+/**
+ * Create a detached svg element.
+ *
+ * @param {number} width - Width in px.
+ * @param {number} height - Height in px.
+ * @returns {object} - d3 selection of the svg.
+ */
+export const createSvg = (width, height) =>
+  select(document.createElementNS(SVG_NAMESPACE, "svg"))
+    .attr("xmlns", SVG_NAMESPACE)
+    .attr("width", width)
+    .attr("height", height)
+    .attr("viewBox", `0 0 ${width} ${height}`);
+
+/**
+ * Draw the marks of an epiviz.gl track as vector shapes, the way the
+ * WebGL drawer renders them. Only the marks in the visible ranges are drawn.
+ * Supports the `rect`, `point` and `tick` marks.
+ *
+ * @param {object} group - d3 selection to draw in.
+ * @param {object} track - The epiviz.gl track.
+ * @param {object} data - The data of the track, arrays by attribute.
+ * @param {object} view - How the plot is displayed.
+ * @param {Array<number>} view.xRange - Visible range along x, in data coordinates.
+ * @param {Array<number>} view.yRange - Visible range along y, in data coordinates.
+ * @param {Array<number>} view.xDomain - Range along x of the whole plot.
+ * @param {Array<number>} view.yDomain - Range along y of the whole plot.
+ * @param {number} view.width - Width of the plot area in px.
+ * @param {number} view.height - Height of the plot area in px.
+ */
+export const appendTrackMarks = (group, track, data, view) => {
+  const { xRange, yRange, xDomain, yDomain, width, height } = view;
+  const length = data[track.x.attribute].length;
+  const channel = (name, fallback) => {
+    const encoding = track[name];
+    if (!encoding) return () => fallback;
+    if (encoding.attribute !== undefined && data[encoding.attribute]) {
+      return (i) => data[encoding.attribute][i];
+    }
+    return () => (encoding.value !== undefined ? encoding.value : fallback);
+  };
+
+  const x = channel("x");
+  const y = channel("y");
+  // packed colors (0xRRGGBB), as epiviz.gl takes them, are not valid in svg
+  const trackColor = channel("color", "#000");
+  const color = (i) => packedColorToHex(trackColor(i));
+  const opacity = channel("opacity", 1);
+  const size = channel("size", 1);
+  const markWidth = channel("width", 1);
+  const markHeight = channel("height", 1);
+
+  // data coordinates to px, and epiviz.gl size units to data coordinates
+  const toX = (v) => ((v - xRange[0]) / (xRange[1] - xRange[0])) * width;
+  const toY = (v) =>
+    height - ((v - yRange[0]) / (yRange[1] - yRange[0])) * height;
+  const xUnit = (SIZE_UNITS * (xDomain[1] - xDomain[0])) / 2;
+  const yUnit = (SIZE_UNITS * (yDomain[1] - yDomain[0])) / 2;
+
+  // points grow as the plot is zoomed in, as in the epiviz.gl vertex shader
+  const pointSizeModifier = Math.max(
+    1.75,
+    Math.min(
+      (xDomain[1] - xDomain[0]) / (2 * (xRange[1] - xRange[0])),
+      (yDomain[1] - yDomain[0]) / (2 * (yRange[1] - yRange[0]))
+    )
+  );
+
+  for (let i = 0; i < length; i++) {
+    const x0 = toX(x(i));
+    const y0 = toY(y(i));
+    let shape;
+
+    if (track.mark === "rect") {
+      const x1 = toX(x(i) + markWidth(i) * xUnit);
+      const y1 = toY(y(i) + markHeight(i) * yUnit);
+      if (x1 < 0 || x0 > width || y0 < 0 || y1 > height) continue;
+
+      shape = group
+        .append("rect")
+        .attr("x", x0)
+        .attr("y", y1)
+        .attr("width", x1 - x0)
+        .attr("height", y0 - y1);
+    } else if (track.mark === "point") {
+      const radius = (size(i) * pointSizeModifier) / 2;
+      if (
+        x0 + radius < 0 ||
+        x0 - radius > width ||
+        y0 + radius < 0 ||
+        y0 - radius > height
+      ) {
+        continue;
+      }
+
+      shape = group
+        .append("circle")
+        .attr("cx", x0)
+        .attr("cy", y0)
+        .attr("r", radius);
+    } else if (track.mark === "tick") {
+      const x1 = track.width ? toX(x(i) + markWidth(i) * xUnit) : x0;
+      const y1 = track.width ? y0 : toY(y(i) + markHeight(i) * yUnit);
+      if (Math.max(x0, x1) < 0 || Math.min(x0, x1) > width) continue;
+      if (Math.max(y0, y1) < 0 || Math.min(y0, y1) > height) continue;
+
+      group
+        .append("line")
+        .attr("x1", x0)
+        .attr("y1", y0)
+        .attr("x2", x1)
+        .attr("y2", y1)
+        .attr("stroke", color(i))
+        .attr("stroke-opacity", opacity(i));
+      continue;
+    } else {
+      throw `${track.mark} marks can not be exported`;
+    }
+
+    shape.attr("fill", color(i)).attr("fill-opacity", opacity(i));
+  }
+};
+
+/**
+ * Rasterize an svg into a png.
+ *
+ * @param {SVGElement} svgNode - The svg, with its width and height set.
+ * @param {number} scale - Pixels per px of the svg.
+ * @returns {Promise<Blob>} - The png.
+ */
+export const svgToPng = (svgNode, scale) =>
+  new Promise((resolve, reject) => {
+    const width = +svgNode.getAttribute("width");
+    const height = +svgNode.getAttribute("height");
+    const url = URL.createObjectURL(
+      new Blob([new XMLSerializer().serializeToString(svgNode)], {
+        type: "image/svg+xml",
+      })
+    );
+
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+
+      const context = canvas.getContext("2d");
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+
+      canvas.toBlob((blob) =>
+        blob ? resolve(blob) : reject(`the image could not be exported`)
+      );
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(`the image could not be exported`);
+    };
+    image.src = url;
+  });
+
+/**
+ * Serialize cells into a table.
+ *
+ * @param {Array<object>} cells - The cells, with the `DATA_EXPORT_FIELDS`.
+ * @param {string} format - One of `DATA_EXPORT_FORMATS`.
+ * @returns {string} - The table, with a header line for `csv` and `tsv`.
+ */
+export const formatData = (cells, format) => {
+  if (!DATA_EXPORT_FORMATS.includes(format)) {
+    throw `${format} needs to be one of ${DATA_EXPORT_FORMATS.join(", ")}`;
+  }
+
+  // missing values are empty, or null in json, and packed colors are `#rrggbb`
+  const records = cells.map((cell) =>
+    Object.fromEntries(
+      DATA_EXPORT_FIELDS.map((field) => {
+        const value =
+          field === "color" ? packedColorToHex(cell[field]) : cell[field];
+        return [field, Number.isNaN(value) ? null : value ?? null];
+      })
+    )
+  );
+
+  if (format === "json") return JSON.stringify(records, null, 2);
+
+  const formatField =
+    format === "csv"
+      ? (v) => {
+          const text = v === null ? "" : String(v);
+          return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }
+      : (v) => (v === null ? "" : String(v).replace(/[\t\r\n]/g, " "));
+  const separator = format === "csv" ? "," : "\t";
+
+  return [
+    DATA_EXPORT_FIELDS.join(separator),
+    ...records.map((record) =>
+      DATA_EXPORT_FIELDS.map((field) => formatField(record[field])).join(
+        separator
+      )
+    ),
+  ].join("\n");
+};
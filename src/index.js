@@ -2,5 +2,6 @@ import DotplotGL from "./DotplotGL";
 import RectplotGL from "./RectplotGL";
 import TickplotGL from "./TickplotGL";
 import Tooltip from "./Tooltip";
+import { linkPlots } from "./linkPlots";
 
-export { DotplotGL, RectplotGL, TickplotGL, Tooltip };
+export { DotplotGL, RectplotGL, TickplotGL, Tooltip, linkPlots };
@@ -0,0 +1,237 @@
+import { getFontSizeInPx, getTextWidths } from "./utils";
+
+export const LABEL_LAYOUT_MODES = ["auto", "all", "nth", "list"];
+
+/**
+ * Validate how the labels of an axis are laid out.
+ *
+ * @param {object} layout - The layout.
+ * @param {string} layout.mode - One of `LABEL_LAYOUT_MODES`: `auto` hides the labels
+ *  that would overlap, `all` shows every label, `nth` every nth label, `list` the listed labels.
+ * @param {number} layout.every - Show every nth label, for the `nth` mode.
+ * @param {Array<string|number>} layout.labels - Labels to show, or their indices
+ *  in input order, for the `list` mode.
+ * @returns {object} - The layout, with the listed labels as a Set.
+ */
+export const prepareLabelLayout = (layout) => {
+  const { mode = "auto", every = 1, labels = [] } = layout;
+
+  if (!LABEL_LAYOUT_MODES.includes(mode)) {
+    throw `${mode} needs to be one of ${LABEL_LAYOUT_MODES.join(", ")}`;
+  }
+
+  if (!Number.isInteger(every) || every < 1) {
+    throw `every needs to be a positive integer`;
+  }
+
+  if (!Array.isArray(labels)) {
+    throw `labels needs to be an array of labels or indices`;
+  }
+
+  return { mode, every, labels: new Set(labels) };
+};
+
+/**
+ * Width of each label, measured with its own font size.
+ *
+ * @param {Array<object>} labels - Labels with their `text` and `font-size`.
+ * @param {string|number} fontSize - Font size of the labels without one.
+ * @returns {Array<number>} - The widths, in px.
+ */
+export const getLabelWidths = (labels, fontSize) => {
+  const widths = new Array(labels.length);
+  const bySize = new Map();
+  labels.forEach((label, i) => {
+    const size = label["font-size"] || fontSize;
+    if (!bySize.has(size)) bySize.set(size, []);
+    bySize.get(size).push(i);
+  });
+
+  bySize.forEach((indices, size) =>
+    getTextWidths(
+      indices.map((i) => labels[i].text),
+      size
+    ).forEach((width, j) => (widths[indices[j]] = width))
+  );
+
+  return widths;
+};
+
+/**
+ * Distance needed between the centers of two neighboring labels so they do
+ * not overlap, the same for all the labels of an axis.
+ *
+ * Labels are rotated by the same angle, so two of them are apart either along
+ * their text or across it, whichever needs the least distance.
+ *
+ * @param {Array<object>} labels - Labels of an axis, with their `text`,
+ *  `font-size` and `transformRotate` (in degrees).
+ * @param {boolean} alongX - Whether the labels are laid out along x (column labels).
+ * @param {number} gap - Space to keep between labels, in px.
+ * @returns {number} - The distance, in px.
+ */
+export const getLabelSpacing = (labels, alongX, gap) => {
+  if (labels.length === 0) return 0;
+
+  const fontSize = window.getComputedStyle(document.body).fontSize;
+  const width = getLabelWidths(labels, fontSize).reduce(
+    (max, w) => Math.max(max, w),
+    0
+  );
+  const height = [
+    ...new Set(labels.map((label) => label["font-size"] || fontSize)),
+  ].reduce((max, size) => Math.max(max, getFontSizeInPx(size)), 0);
+
+  const angle = ((labels[0].transformRotate || 0) * Math.PI) / 180;
+  const cos = Math.abs(Math.cos(angle));
+  const sin = Math.abs(Math.sin(angle));
+  const [alongText, acrossText] = alongX ? [cos, sin] : [sin, cos];
+
+  return (
+    Math.min(
+      alongText > 1e-6 ? width / alongText : Infinity,
+      acrossText > 1e-6 ? height / acrossText : Infinity
+    ) + gap
+  );
+};
+
+/**
+ * Show one label every `stride` rows/columns, so that labels are at least
+ * `spacing` apart. Strides are powers of two, so labels shown at a zoom level
+ * stay shown when zooming in, and new ones appear in between.
+ *
+ * @param {number} spacing - Distance needed between labels, in px.
+ * @param {number} cellSize - Size of a row/column, in px.
+ * @returns {number} - The stride.
+ */
+export const getLabelStride = (spacing, cellSize) => {
+  if (!(cellSize > 0) || cellSize >= spacing) return 1;
+  return 2 ** Math.ceil(Math.log2(spacing / cellSize));
+};
+
+/**
+ * Whether the characters of `query` appear in `text` in the same order.
+ */
+const isSubsequence = (query, text) => {
+  let i = 0;
+  for (let j = 0; j < text.length && i < query.length; j++) {
+    if (text[j] === query[i]) i++;
+  }
+  return i === query.length;
+};
+
+/**
+ * Find the labels matching a query, ignoring case. Without `fuzzy`, labels
+ * must equal the query. With `fuzzy`, labels starting with the query come
+ * first, then labels containing it, then labels containing its characters in order.
+ *
+ * @param {Array<string>} labels - Labels in display order.
+ * @param {string} query - The text to find.
+ * @param {boolean} fuzzy - Whether to match labels partially.
+ * @returns {Array<number>} - Positions of the matching labels, best matches first.
+ */
+export const matchLabels = (labels, query, fuzzy) => {
+  const q = String(query).trim().toLowerCase();
+  if (!q || !labels) return [];
+
+  const matches = [];
+  Array.from(labels).forEach((label, position) => {
+    const text = String(label).toLowerCase();
+    let score = null;
+    if (text === q) score = 0;
+    else if (fuzzy && text.startsWith(q)) score = 1;
+    else if (fuzzy && text.includes(q)) score = 2;
+    else if (fuzzy && isSubsequence(q, text)) score = 3;
+
+    if (score !== null) matches.push({ position, score });
+  });
+
+  return matches
+    .sort((a, b) => a.score - b.score || a.position - b.position)
+    .map((match) => match.position);
+};
+
+// properties of a label that position it, styles can not override them
+const LABEL_LAYOUT_KEYS = [
+  "x",
+  "y",
+  "text",
+  "type",
+  "index",
+  "fixedX",
+  "fixedY",
+  "transformRotate",
+];
+
+/**
+ * Longest start of a text that fits in a width with an ellipsis.
+ */
+const truncateToWidth = (text, maxWidth, fontSize) => {
+  let low = 0;
+  let high = text.length;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    const [width] = getTextWidths([`${text.slice(0, mid)}…`], fontSize);
+    if (width <= maxWidth) low = mid;
+    else high = mid - 1;
+  }
+
+  return `${text.slice(0, low)}…`;
+};
+
+/**
+ * Text and style of the labels of an axis, through the `labelFormatter` and
+ * `labelStyle` hooks, truncated to a width, or to a number of characters without one.
+ *
+ * @param {Array<string>} labels - Labels in display order.
+ * @param {object} options - How to format the labels.
+ * @param {string} options.axis - Either `row` or `column`, given to the hooks.
+ * @param {Array<number>} options.order - Index in input order of each label, given to the hooks.
+ * @param {?Function} options.formatter - `(label, index, axis) => text`.
+ * @param {?Function} options.style - `(label, index, axis) => svg attributes`.
+ * @param {number} options.maxCharacters - Labels longer than this end with "...", without `maxWidth`.
+ * @param {?number} options.maxWidth - Labels wider than this, in px, end with "…".
+ * @param {string|number} options.fontSize - Font size of the labels without one in their style.
+ * @returns {Array<object>} - For each label, its `fullText` as formatted, its
+ *  truncated `text` and its `style`.
+ */
+export const formatLabels = (labels, options) => {
+  const { axis, order, formatter, style, maxCharacters, maxWidth, fontSize } =
+    options;
+
+  const formatted = Array.from(labels, (label, position) => {
+    const index = order[position];
+    const fullText = formatter
+      ? String(formatter(label, index, axis) ?? "")
+      : String(label);
+
+    const labelStyle = { ...(style ? style(label, index, axis) : null) };
+    LABEL_LAYOUT_KEYS.forEach((key) => delete labelStyle[key]);
+
+    // a maximum width replaces the maximum number of characters
+    const text =
+      !maxWidth && fullText.length > maxCharacters
+        ? fullText.substring(0, maxCharacters - 3) + "..."
+        : fullText;
+
+    return { fullText, text, style: labelStyle };
+  });
+
+  if (maxWidth) {
+    const labelsToMeasure = formatted.map(({ text, style }) => ({
+      text,
+      "font-size": style["font-size"],
+    }));
+    getLabelWidths(labelsToMeasure, fontSize).forEach((width, i) => {
+      if (width <= maxWidth) return;
+      const label = formatted[i];
+      label.text = truncateToWidth(
+        label.text,
+        maxWidth,
+        label.style["font-size"] || fontSize
+      );
+    });
+  }
+
+  return formatted;
+};
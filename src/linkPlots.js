@@ -0,0 +1,269 @@
+export const LINKED_VIEWPORT_AXES = ["x", "y", "both"];
+export const LINKED_MAPPINGS = ["position", "label"];
+
+// label -> position of each label array, and cell lookups of each input
+const labelPositions = new WeakMap();
+const cellLookups = new WeakMap();
+
+/**
+ * Position of each label, the first one for duplicated labels.
+ *
+ * @param {Array<string>} labels - Labels in display order.
+ * @returns {Map} - Label to position.
+ */
+const getLabelPositions = (labels) => {
+  if (!labelPositions.has(labels)) {
+    const positions = new Map();
+    labels.forEach((label, position) => {
+      if (!positions.has(label)) positions.set(label, position);
+    });
+    labelPositions.set(labels, positions);
+  }
+
+  return labelPositions.get(labels);
+};
+
+/**
+ * Index of the cell at each row and column of a plot.
+ *
+ * @param {object} plot - The plot.
+ * @returns {Function} - Maps a row and a column position to the index of its cell, if any.
+ */
+const getCellLookup = (plot) => {
+  const { x, y } = plot.input;
+  const ncols = plot._getOrder("column").length;
+  let cached = cellLookups.get(x);
+
+  if (!cached || cached.y !== y || cached.ncols !== ncols) {
+    const cells = new Map();
+    for (let i = 0; i < x.length; i++) cells.set(y[i] * ncols + x[i], i);
+    cached = { y, ncols, cells };
+    cellLookups.set(x, cached);
+  }
+
+  return (row, column) => cached.cells.get(row * ncols + column);
+};
+
+/**
+ * Build the function mapping a row or column position of a plot to the other plot.
+ *
+ * @param {string|object} mapping - See `linkPlots`.
+ * @param {string} axis - Either `row` or `column`.
+ * @returns {Function} - Maps a position from `source` to `target`, undefined when it has no match.
+ */
+const getPositionMapping = (mapping, axis) => {
+  if (typeof mapping === "object") {
+    const map = mapping[axis];
+    return map
+      ? (position, source, target) => map(position, source, target) ?? undefined
+      : (position) => position;
+  }
+
+  if (mapping === "label") {
+    const labelsKey = axis === "row" ? "ylabels" : "xlabels";
+    return (position, source, target) => {
+      const labels = source.input[labelsKey];
+      const targetLabels = target.input[labelsKey];
+      if (!labels || !targetLabels) return undefined;
+      return getLabelPositions(targetLabels).get(labels[position]);
+    };
+  }
+
+  return (position, source, target) =>
+    position < target._getOrder(axis).length ? position : undefined;
+};
+
+/**
+ * Map the visible range of a plot along an axis to the other plot. The range
+ * covers all the visible rows/columns that have a match, keeping the partially
+ * visible first and last ones as they are when they stay at the ends.
+ *
+ * @returns {?Array<number>} - The range in plot coordinates of `target`, null without matches.
+ */
+const mapRange = (range, axis, mapPosition, source, target) => {
+  const length = source._getOrder(axis).length;
+  if (length === 0 || target._getOrder(axis).length === 0) return null;
+
+  const toPosition = source._getAxisToPositionScale(axis);
+  const [start, end] = range.map(toPosition).sort((a, b) => a - b);
+  const first = Math.min(Math.floor(start), length - 1);
+  const last = Math.max(Math.min(Math.ceil(end) - 1, length - 1), first);
+
+  let low = Infinity;
+  let high = -Infinity;
+  for (let p = first; p <= last; p++) {
+    const position = mapPosition(p, source, target);
+    if (position === undefined) continue;
+    low = Math.min(low, position);
+    high = Math.max(high, position + 1);
+  }
+  if (low === Infinity) return null;
+
+  const mappedFirst = mapPosition(first, source, target);
+  const mappedLast = mapPosition(last, source, target);
+  if (mappedFirst === low) low += start - first;
+  if (mappedLast === high - 1) high += end - last - 1;
+
+  const toAxis = target._getPositionToAxisScale(axis);
+  return [toAxis(low), toAxis(high, Number.isInteger(high))].sort(
+    (a, b) => a - b
+  );
+};
+
+/**
+ * Keep plots in sync: pan and zoom, highlighted cells and the hovered cell.
+ * Changes made to one plot are applied to the others without being forwarded
+ * again, so linked plots never loop or drift.
+ *
+ * Rows and columns are matched by their position by default. Plots showing
+ * the same rows/columns in a different order can match them by their labels,
+ * or through functions mapping a position of `source` to a position of `target`.
+ *
+ * @param {Array<BaseGL>} plots - The plots to link, at least two.
+ * @param {object} options - What to keep in sync.
+ * @param {string|boolean} options.viewport - `x`, `y`, `both` (default) or false.
+ * @param {boolean} options.highlight - Highlight the same cells (default: true).
+ * @param {boolean} options.hover - Show the crosshair of the hovered cell in the other plots
+ *  that have their crosshair enabled (default: true).
+ * @param {string|object} options.mapping - `position` (default), `label`, or
+ *  `{row, column}` functions `(position, source, target) => position`.
+ * @returns {Function} - Unlink the plots.
+ */
+export const linkPlots = (plots, options = {}) => {
+  const {
+    viewport = "both",
+    highlight = true,
+    hover = true,
+    mapping = "position",
+  } = options;
+
+  if (!Array.isArray(plots) || plots.length < 2) {
+    throw `linkPlots needs an array of at least two plots`;
+  }
+
+  if (viewport && !LINKED_VIEWPORT_AXES.includes(viewport)) {
+    throw `${viewport} needs to be one of ${LINKED_VIEWPORT_AXES.join(", ")}`;
+  }
+
+  if (typeof mapping !== "object" && !LINKED_MAPPINGS.includes(mapping)) {
+    throw `mapping needs to be position, label or an object of row and column functions`;
+  }
+
+  const mapRow = getPositionMapping(mapping, "row");
+  const mapColumn = getPositionMapping(mapping, "column");
+
+  // changes applied by the link are not forwarded again
+  let syncing = false;
+  const forward = (source, apply, accepts = () => true) => {
+    if (syncing) return;
+
+    syncing = true;
+    try {
+      plots
+        .filter((target) => target !== source && target._spec)
+        .filter(accepts)
+        .forEach((target) => apply(target));
+    } finally {
+      syncing = false;
+    }
+  };
+
+  const mapCell = (index, source, target) => {
+    const row = mapRow(source.input.y[index], source, target);
+    const column = mapColumn(source.input.x[index], source, target);
+    if (row === undefined || column === undefined) return undefined;
+    return getCellLookup(target)(row, column);
+  };
+
+  // the crosshair only shows on plots that enabled it
+  const hasCrosshair = (target) => target.crosshairEnabled;
+
+  const unsubscribes = [];
+  plots.forEach((source) => {
+    if (viewport) {
+      unsubscribes.push(
+        source.on("viewportChange", (sourceViewport) =>
+          forward(source, (target) => {
+            const current = target.viewport || {
+              xRange: target.xAxisRange,
+              yRange: target.yAxisRange,
+            };
+            const xRange =
+              viewport !== "y" &&
+              mapRange(
+                sourceViewport.xRange,
+                "column",
+                mapColumn,
+                source,
+                target
+              );
+            const yRange =
+              viewport !== "x" &&
+              mapRange(sourceViewport.yRange, "row", mapRow, source, target);
+
+            // with the zoom limits and locked axes of the target
+            target._setViewport(
+              target._constrainViewport({
+                xRange: xRange || current.xRange,
+                yRange: yRange || current.yRange,
+              })
+            );
+          })
+        )
+      );
+    }
+
+    if (highlight) {
+      unsubscribes.push(
+        source.on("highlightedIndices", (indices) =>
+          forward(source, (target) => {
+            const mapped = indices
+              .map((index) => mapCell(index, source, target))
+              .filter((index) => index !== undefined);
+
+            target.indexStates = {};
+            target.highlightIndices(mapped, null, true);
+          })
+        )
+      );
+    }
+
+    if (hover) {
+      unsubscribes.push(
+        source.on("hover", (hdata) =>
+          forward(
+            source,
+            (target) => {
+              const index = hdata?.indices?.length ? hdata.indices[0] : null;
+              const row =
+                index === null
+                  ? undefined
+                  : mapRow(source.input.y[index], source, target);
+              const column =
+                index === null
+                  ? undefined
+                  : mapColumn(source.input.x[index], source, target);
+
+              target._setCrosshair(
+                row === undefined || column === undefined
+                  ? null
+                  : { row, column }
+              );
+            },
+            hasCrosshair
+          )
+        )
+      );
+
+      // the cursor left the plot, no cell is hovered anymore
+      const onMouseLeave = () =>
+        forward(source, (target) => target._setCrosshair(null), hasCrosshair);
+      source.elem.addEventListener("mouseleave", onMouseLeave);
+      unsubscribes.push(() =>
+        source.elem.removeEventListener("mouseleave", onMouseLeave)
+      );
+    }
+  });
+
+  return () => unsubscribes.forEach((unsubscribe) => unsubscribe());
+};
@@ -0,0 +1,180 @@
+import { isArrayOrTypedArray, isObject } from "./utils";
+import {
+  DEFAULT_MARGINAL_PLOT_COLOR,
+  DEFAULT_MARGINAL_PLOT_SIZE_IN_PX,
+} from "./constants";
+
+export const MARGINAL_PLOT_SIDES = ["top", "bottom", "left", "right"];
+export const MARGINAL_PLOT_TYPES = ["bar", "box"];
+export const MARGINAL_SUMMARIES = ["sum", "mean", "nonzero"];
+
+/**
+ * Value at quantile `q` of sorted values, with linear interpolation.
+ * Implicit zeros (e.g. of a sparse matrix) are counted without being stored.
+ *
+ * @param {Float64Array} sorted - The explicit values, sorted.
+ * @param {number} zeros - Number of implicit zeros.
+ * @param {number} q - The quantile, between 0 and 1.
+ * @returns {number} - The value at that quantile.
+ */
+const quantile = (sorted, zeros, q) => {
+  const negatives = sorted.findIndex((v) => v >= 0);
+  const firstZero = negatives === -1 ? sorted.length : negatives;
+  const valueAt = (rank) => {
+    if (rank < firstZero) return sorted[rank];
+    if (rank < firstZero + zeros) return 0;
+    return sorted[rank - zeros];
+  };
+
+  const h = (sorted.length + zeros - 1) * q;
+  const low = Math.floor(h);
+  return valueAt(low) + (h - low) * (valueAt(Math.ceil(h)) - valueAt(low));
+};
+
+/**
+ * Box plot statistics of a row or column.
+ *
+ * @param {Array<number>} values - The values of the row/column, missing values excluded.
+ * @param {number} zeros - Number of implicit zeros.
+ * @returns {?object} - The `min`, `q1`, `median`, `q3` and `max`, null without values.
+ */
+const boxStatistics = (values, zeros = 0) => {
+  if (values.length + zeros === 0) return null;
+
+  const sorted = Float64Array.from(values).sort();
+  return {
+    min: quantile(sorted, zeros, 0),
+    q1: quantile(sorted, zeros, 0.25),
+    median: quantile(sorted, zeros, 0.5),
+    q3: quantile(sorted, zeros, 0.75),
+    max: quantile(sorted, zeros, 1),
+  };
+};
+
+/**
+ * Summarize a row or column into a single number.
+ *
+ * @param {Array<number>} values - The values of the row/column, missing values excluded.
+ * @param {number} zeros - Number of implicit zeros.
+ * @param {string} summary - One of `MARGINAL_SUMMARIES`.
+ * @returns {number} - The summary, NaN without values.
+ */
+const summarize = (values, zeros, summary) => {
+  const count = values.length + zeros;
+  if (count === 0) return NaN;
+
+  switch (summary) {
+    case "sum":
+      return values.reduce((sum, v) => sum + v, 0);
+    case "mean":
+      return values.reduce((sum, v) => sum + v, 0) / count;
+    case "nonzero":
+      return values.filter((v) => v !== 0).length / count;
+    default:
+      throw `${summary} needs to be one of ${MARGINAL_SUMMARIES.join(", ")}`;
+  }
+};
+
+/**
+ * Validate a marginal plot and compute the summary of each row or column.
+ *
+ * Plots on the `top` and `bottom` summarize the columns, plots on the `left`
+ * and `right` summarize the rows. Summaries are computed from the cells,
+ * unless precomputed `values` are given: a number for each row/column for bar
+ * charts, the values of each row/column (or their `{min, q1, median, q3, max}`)
+ * for box plots.
+ *
+ * @param {string} side - One of `MARGINAL_PLOT_SIDES`.
+ * @param {object} options - The marginal plot.
+ * @param {string} options.type - Either `bar` (default) or `box`.
+ * @param {string} options.summary - One of `MARGINAL_SUMMARIES`, for bar charts (default: mean).
+ * @param {Array|TypedArray} options.values - Precomputed summaries, for each row/column in input order.
+ * @param {number} options.size - Size of the plot in px.
+ * @param {string} options.color - Fill color of the bars/boxes.
+ * @param {object} cells - The cells to summarize.
+ * @param {Array|TypedArray} cells.values - The value of each cell.
+ * @param {Array|TypedArray} cells.positions - The row/column of each cell, in input order.
+ * @param {number} cells.length - Number of rows/columns to summarize.
+ * @param {number} cells.otherLength - Number of cells in each row/column.
+ * @param {boolean} cells.sparse - Whether missing cells are implicit zeros.
+ * @returns {object} - The plot, with the `data` of each row/column and its `domain`.
+ */
+export const prepareMarginalPlot = (side, options, cells) => {
+  const {
+    type = "bar",
+    summary = "mean",
+    size = DEFAULT_MARGINAL_PLOT_SIZE_IN_PX,
+    color = DEFAULT_MARGINAL_PLOT_COLOR,
+  } = options;
+  const { length } = cells;
+
+  if (!MARGINAL_PLOT_SIDES.includes(side)) {
+    throw `${side} needs to be one of ${MARGINAL_PLOT_SIDES.join(", ")}`;
+  }
+
+  if (!MARGINAL_PLOT_TYPES.includes(type)) {
+    throw `${type} needs to be one of ${MARGINAL_PLOT_TYPES.join(", ")}`;
+  }
+
+  let data;
+  if (options.values) {
+    if (
+      !isArrayOrTypedArray(options.values) ||
+      options.values.length !== length
+    ) {
+      throw `values of the ${side} marginal plot must contain one value for each of the ${length} rows/columns`;
+    }
+
+    data =
+      type === "bar"
+        ? Float64Array.from(options.values)
+        : Array.from(options.values, (v) =>
+            isObject(v) && "median" in v
+              ? v
+              : boxStatistics(Array.from(v).filter((x) => !Number.isNaN(x)))
+          );
+  } else {
+    if (type === "bar" && !MARGINAL_SUMMARIES.includes(summary)) {
+      throw `${summary} needs to be one of ${MARGINAL_SUMMARIES.join(", ")}`;
+    }
+
+    const groups = Array.from({ length }, () => []);
+    for (let i = 0; i < cells.values.length; i++) {
+      const value = cells.values[i];
+      if (value !== null && !Number.isNaN(value)) {
+        groups[cells.positions[i]].push(value);
+      }
+    }
+
+    // cells missing from a sparse matrix are zeros
+    const zerosOf = (group) =>
+      cells.sparse ? Math.max(cells.otherLength - group.length, 0) : 0;
+    data = groups.map((group) =>
+      type === "bar"
+        ? summarize(group, zerosOf(group), summary)
+        : boxStatistics(group, zerosOf(group))
+    );
+    if (type === "bar") data = Float64Array.from(data);
+  }
+
+  // bars start from 0, boxes span their whiskers
+  let domain = type === "bar" ? [0, 0] : [Infinity, -Infinity];
+  data.forEach((d) => {
+    if (d === null || Number.isNaN(d)) return;
+    const [low, high] = type === "bar" ? [d, d] : [d.min, d.max];
+    domain = [Math.min(domain[0], low), Math.max(domain[1], high)];
+  });
+  if (!(domain[0] < domain[1])) {
+    domain = Number.isFinite(domain[0]) ? [domain[0], domain[0] + 1] : [0, 1];
+  }
+
+  return {
+    side,
+    axis: side === "top" || side === "bottom" ? "column" : "row",
+    type,
+    size,
+    color,
+    data,
+    domain,
+  };
+};
@@ -0,0 +1,175 @@
+import { isArrayOrTypedArray } from "./utils";
+
+/**
+ * Validate a dense matrix and flatten it into a single array.
+ *
+ * Nested arrays are flattened in row-major order into a Float32Array.
+ * Flat arrays and typed arrays are used as-is, without copying.
+ *
+ * @param {object} matrix - The matrix to parse.
+ * @param {Array<Array<number>>|Array<number>|TypedArray} matrix.values - Either a nested array (one array per row) or a flat array.
+ * @param {number} matrix.nrows - Number of rows, inferred from a nested array if not provided.
+ * @param {number} matrix.ncols - Number of columns, inferred from a nested array if not provided.
+ * @param {string} matrix.order - Layout of a flat array, either `row-major` (default) or `column-major`.
+ * @returns {object} - An object containing the flat values, nrows, ncols and order.
+ */
+export const parseDenseMatrix = (matrix) => {
+  let { values, nrows, ncols, order = "row-major" } = matrix;
+
+  if (!isArrayOrTypedArray(values)) {
+    throw `matrix values must be a nested array, an array or a typed array`;
+  }
+
+  if (!["row-major", "column-major"].includes(order)) {
+    throw `${order} needs to be one of row-major or column-major`;
+  }
+
+  if (values.length > 0 && isArrayOrTypedArray(values[0])) {
+    nrows = nrows ?? values.length;
+    ncols = ncols ?? values[0].length;
+
+    if (values.length !== nrows) {
+      throw `matrix has ${values.length} rows, expected ${nrows}`;
+    }
+
+    const flat = new Float32Array(nrows * ncols);
+    for (let row = 0; row < nrows; row++) {
+      if (values[row].length !== ncols) {
+        throw `row ${row} of the matrix has ${values[row].length} columns, expected ${ncols}`;
+      }
+
+      flat.set(values[row], row * ncols);
+    }
+
+    return { values: flat, nrows, ncols, order: "row-major" };
+  }
+
+  if (!Number.isInteger(nrows) || !Number.isInteger(ncols)) {
+    throw `nrows and ncols are required when matrix values are a flat array`;
+  }
+
+  if (values.length !== nrows * ncols) {
+    throw `length of matrix values (${
+      values.length
+    }) not the same as nrows * ncols: needs to be ${nrows * ncols}`;
+  }
+
+  return { values, nrows, ncols, order };
+};
+
+/**
+ * Generate the x (column) and y (row) coordinates of every cell of a dense matrix,
+ * in the same order as its flattened values.
+ *
+ * Both arrays are allocated once, with 16 bits per coordinate when the matrix
+ * has at most 65536 rows and columns.
+ *
+ * @param {number} nrows - Number of rows in the matrix.
+ * @param {number} ncols - Number of columns in the matrix.
+ * @param {string} order - Layout of the values, either `row-major` or `column-major`.
+ * @returns {object} - An object containing the x and y coordinates as typed arrays.
+ */
+export const getMatrixCoordinates = (nrows, ncols, order = "row-major") => {
+  const CoordinateArray =
+    Math.max(nrows, ncols) <= 0x10000 ? Uint16Array : Uint32Array;
+  const x = new CoordinateArray(nrows * ncols);
+  const y = new CoordinateArray(nrows * ncols);
+
+  // the inner loop follows the order of the values
+  const columnMajor = order === "column-major";
+  const outer = columnMajor ? ncols : nrows;
+  const inner = columnMajor ? nrows : ncols;
+  const [outerCoordinates, innerCoordinates] = columnMajor ? [x, y] : [y, x];
+
+  for (let o = 0, i = 0; o < outer; o++) {
+    outerCoordinates.fill(o, i, i + inner);
+    for (let j = 0; j < inner; j++, i++) innerCoordinates[i] = j;
+  }
+
+  return { x, y };
+};
+
+/**
+ * Validate a sparse matrix and expand it into the x (column) and y (row)
+ * coordinates of its stored cells.
+ *
+ * COO coordinates are used as-is. For CSR/CSC only the compressed axis is
+ * expanded, the `indices` are used as-is. Explicitly stored zeros are kept,
+ * so the cells stay in the order they are stored.
+ *
+ * @param {object} matrix - The matrix to parse.
+ * @param {string} matrix.format - Storage format, one of `coo` (default), `csr` or `csc`.
+ * @param {number} matrix.nrows - Number of rows in the matrix.
+ * @param {number} matrix.ncols - Number of columns in the matrix.
+ * @param {Array<number>|TypedArray} matrix.data - Values of the stored cells.
+ * @param {Array<number>|TypedArray} matrix.row - Row index of each stored cell (coo).
+ * @param {Array<number>|TypedArray} matrix.col - Column index of each stored cell (coo).
+ * @param {Array<number>|TypedArray} matrix.indices - Column (csr) or row (csc) index of each stored cell.
+ * @param {Array<number>|TypedArray} matrix.indptr - Offsets into `indices` and `data` for each row (csr) or column (csc).
+ * @returns {object} - An object containing x, y, values, nrows, ncols and format.
+ */
+export const parseSparseMatrix = (matrix) => {
+  const { format = "coo", nrows, ncols, data } = matrix;
+
+  if (!Number.isInteger(nrows) || !Number.isInteger(ncols)) {
+    throw `nrows and ncols are required for a sparse matrix`;
+  }
+
+  if (!isArrayOrTypedArray(data)) {
+    throw `sparse matrix data must be an array or a typed array`;
+  }
+
+  let x, y;
+  switch (format) {
+    case "coo":
+      if (
+        !isArrayOrTypedArray(matrix.row) ||
+        !isArrayOrTypedArray(matrix.col) ||
+        matrix.row.length !== data.length ||
+        matrix.col.length !== data.length
+      ) {
+        throw `coo matrix must contain row and col arrays of the same length as data: needs to be ${data.length}`;
+      }
+
+      x = matrix.col;
+      y = matrix.row;
+      break;
+    case "csr":
+    case "csc": {
+      const { indices, indptr } = matrix;
+      const compressedLength = format === "csr" ? nrows : ncols;
+
+      if (
+        !isArrayOrTypedArray(indptr) ||
+        indptr.length !== compressedLength + 1
+      ) {
+        throw `${format} matrix must contain an indptr array of length ${
+          compressedLength + 1
+        }`;
+      }
+
+      if (!isArrayOrTypedArray(indices) || indices.length !== data.length) {
+        throw `${format} matrix must contain an indices array of the same length as data: needs to be ${data.length}`;
+      }
+
+      const expanded = new Uint32Array(data.length);
+      for (let p = 0; p < compressedLength; p++) {
+        expanded.fill(p, indptr[p], indptr[p + 1]);
+      }
+
+      x = format === "csr" ? indices : expanded;
+      y = format === "csr" ? expanded : indices;
+      break;
+    }
+    default:
+      throw `${format} needs to be one of coo, csr or csc`;
+  }
+
+  for (let i = 0; i < data.length; i++) {
+    if (x[i] < 0 || x[i] >= ncols || y[i] < 0 || y[i] >= nrows) {
+      throw `cell (${y[i]}, ${x[i]}) is outside of a ${nrows} x ${ncols} matrix`;
+    }
+  }
+
+  return { x, y, values: data, nrows, ncols, format };
+};
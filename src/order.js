@@ -0,0 +1,158 @@
+/**
+ * Position of each element of an order, i.e. `positions[order[p]] = p`.
+ *
+ * @param {Array<number>|TypedArray} order - A permutation of `0..length-1`.
+ * @returns {Int32Array} - The position of each element.
+ */
+export const getPositions = (order) => {
+  const positions = new Int32Array(order.length);
+  for (let p = 0; p < order.length; p++) positions[order[p]] = p;
+  return positions;
+};
+
+/**
+ * Whether an array contains each integer of `0..length-1` exactly once.
+ */
+const isPermutation = (order, length) => {
+  if (!order || typeof order.length !== "number" || order.length !== length) {
+    return false;
+  }
+
+  const seen = new Uint8Array(length);
+  for (let i = 0; i < length; i++) {
+    const position = order[i];
+    if (!Number.isInteger(position) || position < 0 || position >= length) {
+      return false;
+    }
+    if (seen[position]) return false;
+    seen[position] = 1;
+  }
+
+  return true;
+};
+
+/**
+ * Validate a reordering of rows/columns and invert it.
+ *
+ * @param {Array<number>|TypedArray} order - The current positions in their new order,
+ *  i.e. `order[newPosition] = currentPosition`.
+ * @param {number} length - Number of rows/columns.
+ * @param {string} axis - Either `row` or `column`.
+ * @returns {Int32Array} - The new position of each current position.
+ */
+export const invertOrder = (order, length, axis) => {
+  if (!isPermutation(order, length)) {
+    throw `order must contain each of the ${length} ${axis}s exactly once`;
+  }
+
+  return getPositions(order);
+};
+
+/**
+ * Express a permutation of original positions as current positions.
+ *
+ * @param {Array<number>|TypedArray} permutation - Original positions in their new order.
+ * @param {Array<number>|TypedArray} currentOrder - Original position of each current position.
+ * @returns {Array<number>} - Current positions in their new order. Unknown positions
+ *  are kept as they are, so that `invertOrder` rejects them.
+ */
+export const toCurrentOrder = (permutation, currentOrder) => {
+  const currentPosition = getPositions(currentOrder);
+  return Array.from(permutation, (original) =>
+    Number.isInteger(original) &&
+    original >= 0 &&
+    original < currentOrder.length
+      ? currentPosition[original]
+      : original
+  );
+};
+
+/**
+ * Move the coordinates of cells along an axis to their new positions.
+ *
+ * @param {Array<number>|TypedArray} coordinates - Position of each cell.
+ * @param {Int32Array} newPosition - New position of each position, from `invertOrder`.
+ * @returns {TypedArray} - The new coordinates, in a typed array of the same type.
+ */
+export const moveCoordinates = (coordinates, newPosition) => {
+  const moved = ArrayBuffer.isView(coordinates)
+    ? new coordinates.constructor(coordinates.length)
+    : new Uint32Array(coordinates.length);
+  for (let i = 0; i < coordinates.length; i++) {
+    moved[i] = newPosition[coordinates[i]];
+  }
+
+  return moved;
+};
+
+/**
+ * Sort rows/columns by their value, in reading order. Missing (NaN) values
+ * always come last, ties keep their relative order.
+ *
+ * @param {Array<number>|TypedArray} order - The rows/columns to sort.
+ * @param {Function} valueOf - Value of a row/column of `order`.
+ * @param {string} direction - Either `ascending` or `descending`.
+ * @returns {Array<number>} - The sorted rows/columns.
+ */
+export const sortOrder = (order, valueOf, direction) => {
+  const sign = direction === "ascending" ? 1 : -1;
+  return Array.from(order).sort((a, b) => {
+    const va = valueOf(a);
+    const vb = valueOf(b);
+    if (Number.isNaN(va) || Number.isNaN(vb)) {
+      return Number.isNaN(va) - Number.isNaN(vb);
+    }
+    return sign * (va - vb);
+  });
+};
+
+/**
+ * Lay out rows/columns on a grid, with gaps between panels.
+ * Without panels, each row/column takes one slot.
+ *
+ * @param {Array<number>|TypedArray} order - Original position of each row/column, as displayed.
+ * @param {?Array<number>|TypedArray} panelOf - Panel of each original position, null without a split.
+ * @param {number} gap - Size of the gaps between panels, in slots.
+ * @returns {object} - The first `slots` of each position, the `total` number of slots
+ *  and the `panels` ({panel, start, end} positions) in display order.
+ */
+export const getGridLayout = (order, panelOf, gap) => {
+  const slots = new Float64Array(order.length);
+  const panels = [];
+
+  let offset = 0;
+  for (let p = 0; p < order.length; p++) {
+    const panel = panelOf ? panelOf[order[p]] : 0;
+    const last = panels[panels.length - 1];
+
+    if (last && last.panel === panel) {
+      last.end = p;
+    } else {
+      if (last) offset += gap;
+      panels.push({ panel, start: p, end: p });
+    }
+
+    slots[p] = p + offset;
+  }
+
+  return { slots, total: order.length + offset, panels };
+};
+
+/**
+ * Move a row/column to a boundary between two others.
+ *
+ * @param {Array<number>|TypedArray} order - The rows/columns, as displayed.
+ * @param {number} from - Position of the row/column to move.
+ * @param {number} to - The boundary, from 0 (before the first row/column) to `order.length`.
+ * @returns {?object} - The new `order` and the new `position` of the moved row/column,
+ *  null when it stays where it is.
+ */
+export const moveToBoundary = (order, from, to) => {
+  const position = to > from ? to - 1 : to;
+  if (position === from) return null;
+
+  const moved = Array.from(order);
+  const [element] = moved.splice(from, 1);
+  moved.splice(position, 0, element);
+  return { order: moved, position };
+};
@@ -23,8 +23,7 @@ const ReactRectplot = ({ data, color, size }) => {
     plot.render();
 
     return () => {
-      plot?.plot.dataWorker.terminate();
-      plot?.plot.webglWorker.terminate();
+      plot?.destroy();
     };
   }, []);
 
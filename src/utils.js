@@ -1,5 +1,8 @@
-import { select } from "d3-selection";
-import { DEFAULT_MIN_RADIUS_FOR_DOTPLOT } from "./constants";
+import { rgb } from "d3-color";
+import {
+  DEFAULT_MIN_RADIUS_FOR_DOTPLOT,
+  MAX_MEASURED_TEXT_WIDTHS,
+} from "./constants";
 
 /**
  * Check if a given variable is an object and not an array.
@@ -11,6 +14,34 @@ export function isObject(object) {
   return typeof object === "object" && Array.isArray(object) === false;
 }
 
+/**
+ * Check if a given variable is either a regular array or a typed array.
+ *
+ * @param {any} value - The variable to check.
+ * @returns {boolean} - Returns true if the variable is an array or a typed array (DataView excluded).
+ */
+export function isArrayOrTypedArray(value) {
+  return (
+    Array.isArray(value) ||
+    (ArrayBuffer.isView(value) && !(value instanceof DataView))
+  );
+}
+
+/**
+ * Escape the characters of a text that have a meaning in HTML.
+ *
+ * @param {any} text - The text to escape.
+ * @returns {string} - The text, safe to insert as HTML.
+ */
+export const escapeHtml = (text) =>
+  String(text).replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[
+        c
+      ])
+  );
+
 /**
  * Get the minimum and maximum values from an array.
  *
@@ -55,20 +86,75 @@ export const parseMargins = (margins) => {
   return parsedMargins;
 };
 
+// canvas used to measure text, and the measured widths by font, at most
+// MAX_MEASURED_TEXT_WIDTHS of them
+let measureContext = null;
+const measuredWidths = new Map();
+let measuredWidthsCount = 0;
+
+/**
+ * Get the font of text rendered in the page at a given size, e.g. `12px Arial`.
+ *
+ * @param {string|number} fontSize - The font size, e.g., '16px' or 16.
+ * @returns {string} - The CSS font.
+ */
+const getFont = (fontSize) => {
+  if (!measureContext) {
+    measureContext = document.createElement("canvas").getContext("2d");
+  }
+
+  const size = typeof fontSize === "number" ? `${fontSize}px` : fontSize;
+  return `${size} ${window.getComputedStyle(document.body).fontFamily}`;
+};
+
+/**
+ * Measure the width of text strings for a given font size, in bulk.
+ * Widths are measured on a canvas and cached, so the page is not laid out again.
+ * The cache starts over once it holds `MAX_MEASURED_TEXT_WIDTHS` widths.
+ *
+ * @param {Array<string>} texts - The texts to measure.
+ * @param {string|number} fontSize - The font size to use for the measurement, e.g., '16px'.
+ * @returns {Array<number>} - The width of each text in pixels.
+ */
+export const getTextWidths = (texts, fontSize = "16px") => {
+  const font = getFont(fontSize);
+  if (!measuredWidths.has(font)) measuredWidths.set(font, new Map());
+  const widths = measuredWidths.get(font);
+
+  measureContext.font = font;
+  return Array.from(texts, (text) => {
+    if (!widths.has(text)) {
+      if (measuredWidthsCount >= MAX_MEASURED_TEXT_WIDTHS) {
+        measuredWidths.forEach((cached) => cached.clear());
+        measuredWidthsCount = 0;
+      }
+      widths.set(text, measureContext.measureText(text).width);
+      measuredWidthsCount++;
+    }
+    return widths.get(text);
+  });
+};
+
 /**
- * Measure the width of a text string for a given font size using SVG.
+ * Measure the width of a text string for a given font size.
  *
  * @param {string} text - The text to measure.
  * @param {string} fontSize - The font size to use for the measurement, e.g., '16px'.
  * @returns {number} - The width of the text in pixels.
  */
-export const getTextWidth = (text, fontSize = "16px") => {
-  // Create a temporary SVG to measure the text width
-  const svg = select("body").append("svg");
-  const textNode = svg.append("text").style("font-size", fontSize).text(text);
-  const width = textNode.node().getBBox().width;
-  svg.remove();
-  return width;
+export const getTextWidth = (text, fontSize = "16px") =>
+  getTextWidths([text], fontSize)[0];
+
+/**
+ * Convert a font size to pixels, e.g. `1em` to `16px`.
+ *
+ * @param {string|number} fontSize - The font size, e.g., '16px' or 16.
+ * @returns {number} - The font size in pixels.
+ */
+export const getFontSizeInPx = (fontSize) => {
+  // the canvas resolves the font size to px
+  measureContext.font = getFont(fontSize);
+  return parseFloat(measureContext.font);
 };
 
 export const getMaxRadiusForDotplot = (xlen, ylen, padding) => {
@@ -137,3 +223,27 @@ export const mapArrayOrTypedArray = (array, callback) => {
     throw new Error("Input is neither a normal array nor a typed array.");
   }
 };
+
+/**
+ * Convert any css color specifier to a single packed RGB integer (0xRRGGBB),
+ * which epiviz.gl accepts as a color encoding.
+ *
+ * @param {string} color - A css color specifier, e.g. `#3182bd` or `rgb(49, 130, 189)`.
+ * @returns {number} - The color packed into an integer.
+ */
+export const colorToHex = (color) => {
+  const { r, g, b } = rgb(color);
+  return (Math.round(r) << 16) | (Math.round(g) << 8) | Math.round(b);
+};
+
+/**
+ * Convert a packed RGB integer (0xRRGGBB), as returned by `colorToHex`,
+ * back to a css hex color. Any other color is returned as is.
+ *
+ * @param {number|string} color - The color packed into an integer, or a css color specifier.
+ * @returns {string} - The color as `#rrggbb`, or the css color specifier.
+ */
+export const packedColorToHex = (color) =>
+  typeof color === "number" && Number.isInteger(color)
+    ? `#${(color & 0xffffff).toString(16).padStart(6, "0")}`
+    : color;
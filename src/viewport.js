@@ -0,0 +1,70 @@
+import { isArrayOrTypedArray } from "./utils";
+
+/**
+ * Validate a range to show along an axis, and keep it within the plot.
+ *
+ * @param {?Array<number>} range - The range in plot coordinates, the current one when missing.
+ * @param {Array<number>} currentRange - The range currently shown.
+ * @param {Array<number>} extent - The `[min, max]` of the plot along the axis.
+ * @param {string} name - Name of the range, used in the error message.
+ * @returns {Array<number>} - The range within the plot.
+ */
+export const clampRange = (range, currentRange, [min, max], name) => {
+  if (range === undefined || range === null) return [...currentRange];
+  if (
+    !isArrayOrTypedArray(range) ||
+    range.length !== 2 ||
+    !range.every((v) => Number.isFinite(v)) ||
+    !(range[0] < range[1])
+  ) {
+    throw `${name} needs to be an increasing range of two numbers`;
+  }
+
+  return Array.from(range, (v) => Math.min(Math.max(v, min), max));
+};
+
+/**
+ * Apply zoom options to a viewport. A range is resized around its center to
+ * stay within the zoom limits, then moved back within the plot with
+ * `clampToData`. Axes that cannot be zoomed keep their current range.
+ *
+ * @param {object} viewport - The `xRange` and `yRange` to constrain, the current ones when missing.
+ * @param {object} view - The current view: `xRange`, `yRange` and the plot extent `minX`, `maxX`, `minY`, `maxY`.
+ * @param {object} zoomOptions - The `axis`, `minZoom`, `maxZoom` and `clampToData` options.
+ * @returns {object} - The constrained `xRange` and `yRange`.
+ */
+export const constrainViewport = (viewport, view, zoomOptions) => {
+  const { axis = "both", minZoom = 1, maxZoom = null } = zoomOptions;
+  const { clampToData = false } = zoomOptions;
+  const { minX, maxX, minY, maxY, xRange, yRange } = view;
+
+  const constrain = (range, [min, max]) => {
+    const full = max - min;
+    const size = range[1] - range[0];
+    const width = Math.min(
+      Math.max(size, maxZoom ? full / maxZoom : 0),
+      full / minZoom
+    );
+
+    // resized around its center, then moved back within the plot
+    const center = (range[0] + range[1]) / 2;
+    const [start, end] =
+      width === size ? range : [center - width / 2, center + width / 2];
+    let shift = 0;
+    if (clampToData && start < min) shift = min - start;
+    else if (clampToData && end > max) shift = max - end;
+
+    return [start + shift, end + shift];
+  };
+
+  return {
+    xRange:
+      axis === "y"
+        ? [...xRange]
+        : constrain(viewport.xRange || xRange, [minX, maxX]),
+    yRange:
+      axis === "x"
+        ? [...yRange]
+        : constrain(viewport.yRange || yRange, [minY, maxY]),
+  };
+};
@@ -0,0 +1,73 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createColorScale, getColorInterpolator } from "../src/colorScale.js";
+import { colorToHex } from "../src/utils.js";
+
+describe("getColorInterpolator", () => {
+  it("resolves scheme names, arrays of colors and reversed schemes", () => {
+    assert.equal(
+      getColorInterpolator("viridis")(0),
+      getColorInterpolator("interpolateViridis")(0)
+    );
+    assert.equal(
+      colorToHex(getColorInterpolator(["red", "blue"])(1)),
+      0x0000ff
+    );
+    assert.equal(
+      colorToHex(getColorInterpolator(["red", "blue"], true)(1)),
+      0xff0000
+    );
+  });
+
+  it("rejects unknown schemes", () => {
+    assert.throws(() => getColorInterpolator("notAScheme"));
+  });
+});
+
+describe("createColorScale", () => {
+  it("maps values to positions along the domain, clamped by default", () => {
+    const scale = createColorScale({}, [0, 5, 10]);
+    assert.deepEqual(scale.domain, [0, 10]);
+    assert.equal(scale.position(5), 0.5);
+    assert.equal(scale.position(20), 1);
+    assert.ok(Number.isNaN(scale.position(NaN)));
+
+    const unclamped = createColorScale({ clamp: false }, [0, 10]);
+    assert.ok(Number.isNaN(unclamped.position(20)));
+  });
+
+  it("centers diverging scales on their midpoint", () => {
+    const scale = createColorScale({ type: "diverging" }, [-2, 1]);
+    assert.deepEqual(scale.domain, [-2, 2]);
+    assert.equal(scale.position(0), 0.5);
+  });
+
+  it("ignores non-positive values on a log scale", () => {
+    const scale = createColorScale({ type: "log" }, [0, 1, 100]);
+    assert.deepEqual(scale.domain, [1, 100]);
+    assert.equal(scale.position(10), 0.5);
+    assert.ok(Number.isNaN(scale.position(0)));
+    assert.throws(() => createColorScale({ type: "log", domain: [0, 1] }, []));
+  });
+
+  it("includes zero in the domain when asked", () => {
+    assert.deepEqual(createColorScale({}, [2, 4], true).domain, [0, 4]);
+  });
+
+  it("maps values to packed RGB integers, missing values to naColor", () => {
+    const scale = createColorScale(
+      { scheme: ["#000000", "#ffffff"], naColor: "#ff0000" },
+      [0, 1]
+    );
+    assert.deepEqual(
+      Array.from(scale.mapValues([0, 1, NaN])),
+      [0x000000, 0xffffff, 0xff0000]
+    );
+  });
+
+  it("builds a legend matching the domain", () => {
+    const { legendData } = createColorScale({}, [0, 10]);
+    assert.equal(legendData[0].label, 0);
+    assert.equal(legendData[legendData.length - 1].label, 10);
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DATA_EXPORT_FIELDS,
+  appendTrackMarks,
+  formatData,
+} from "../src/export.js";
+
+// records the shapes appended to it, as a d3 selection would create them
+const createGroup = () => {
+  const shapes = [];
+  return {
+    shapes,
+    append(tag) {
+      const shape = {
+        tag,
+        attrs: {},
+        attr(name, value) {
+          this.attrs[name] = value;
+          return this;
+        },
+      };
+      shapes.push(shape);
+      return shape;
+    },
+  };
+};
+
+const view = {
+  xRange: [-1, 1],
+  yRange: [-1, 1],
+  xDomain: [-1, 1],
+  yDomain: [-1, 1],
+  width: 100,
+  height: 100,
+};
+
+describe("appendTrackMarks", () => {
+  it("draws packed colors as css hex colors", () => {
+    const group = createGroup();
+    const track = {
+      mark: "rect",
+      x: { attribute: "x" },
+      y: { attribute: "y" },
+      color: { attribute: "color" },
+      width: { value: 100 },
+      height: { value: 100 },
+    };
+    const data = { x: [-1, 0], y: [-1, 0], color: [0xff0000, "steelblue"] };
+
+    appendTrackMarks(group, track, data, view);
+    assert.deepEqual(
+      group.shapes.map((shape) => shape.attrs.fill),
+      ["#ff0000", "steelblue"]
+    );
+  });
+
+  it("strokes ticks with css hex colors and skips marks out of view", () => {
+    const group = createGroup();
+    const track = {
+      mark: "tick",
+      x: { attribute: "x" },
+      y: { attribute: "y" },
+      color: { value: 0x3182bd },
+      height: { value: 50 },
+    };
+
+    appendTrackMarks(group, track, { x: [0, 5], y: [0, 0] }, view);
+    assert.equal(group.shapes.length, 1);
+    assert.equal(group.shapes[0].tag, "line");
+    assert.equal(group.shapes[0].attrs.stroke, "#3182bd");
+  });
+});
+
+describe("formatData", () => {
+  const cells = [
+    {
+      index: 0,
+      row: 1,
+      column: 2,
+      rowLabel: "TP53",
+      value: 1.5,
+      color: 0xff0000,
+    },
+    { index: 1, row: 0, column: 0, rowLabel: 'a "b", c', value: NaN },
+  ];
+
+  it("writes a csv table with a header, quoting where needed", () => {
+    const lines = formatData(cells, "csv").split("\n");
+    assert.equal(lines[0], DATA_EXPORT_FIELDS.join(","));
+    assert.equal(lines[1], "0,1,2,TP53,,,,1.5,#ff0000,,");
+    assert.equal(lines[2], '1,0,0,"a ""b"", c",,,,,,,');
+  });
+
+  it("writes a tsv table without tabs or line breaks in the fields", () => {
+    const [, line] = formatData(
+      [{ index: 0, rowLabel: "a\tb\nc" }],
+      "tsv"
+    ).split("\n");
+    assert.deepEqual(line.split("\t").slice(0, 4), ["0", "", "", "a b c"]);
+  });
+
+  it("writes json records with every field, missing values as null", () => {
+    const records = JSON.parse(formatData(cells, "json"));
+    assert.deepEqual(Object.keys(records[0]), DATA_EXPORT_FIELDS);
+    assert.equal(records[0].color, "#ff0000");
+    assert.equal(records[1].value, null);
+    assert.equal(records[1].size, null);
+  });
+
+  it("rejects unknown formats", () => {
+    assert.throws(() => formatData(cells, "xlsx"));
+  });
+});
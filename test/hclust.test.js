@@ -0,0 +1,88 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  computeDistances,
+  getLeafOrder,
+  hierarchicalClustering,
+} from "../src/clustering/hclust.js";
+
+// five points on a line: two close pairs and an outlier
+const points = new Float64Array([0, 1, 5, 6, 20]);
+
+describe("computeDistances", () => {
+  it("returns the condensed matrix of pairwise distances", () => {
+    const data = new Float64Array([0, 0, 3, 4, 6, 8]);
+    assert.deepEqual(Array.from(computeDistances(data, 3, 2)), [5, 10, 5]);
+    assert.deepEqual(
+      Array.from(computeDistances(data, 3, 2, "manhattan")),
+      [7, 14, 7]
+    );
+  });
+
+  it("ignores scale for the correlation and cosine metrics", () => {
+    const data = new Float64Array([1, 2, 3, 2, 4, 6, 3, 2, 1]);
+    const correlation = computeDistances(data, 3, 3, "correlation");
+    assert.ok(correlation[0] < 1e-12);
+    assert.ok(Math.abs(correlation[1] - 2) < 1e-12);
+    assert.ok(computeDistances(data, 3, 3, "cosine")[0] < 1e-12);
+  });
+
+  it("rejects unknown metrics", () => {
+    assert.throws(() => computeDistances(points, 5, 1, "chebyshev"));
+  });
+});
+
+describe("hierarchicalClustering", () => {
+  const heights = (linkage) =>
+    hierarchicalClustering(points, 5, 1, { linkage }).merges.map(
+      (merge) => merge.height
+    );
+
+  it("merges the closest clusters first, by linkage", () => {
+    assert.deepEqual(heights("single"), [1, 1, 4, 14]);
+    assert.deepEqual(heights("complete"), [1, 1, 6, 20]);
+    assert.deepEqual(heights("average"), [1, 1, 5, 17]);
+  });
+
+  it("numbers merged clusters after the leaves", () => {
+    const { merges } = hierarchicalClustering(points, 5, 1);
+    const pairs = merges
+      .slice(0, 2)
+      .map(({ left, right }) => [left, right])
+      .sort((a, b) => a[0] - b[0]);
+    assert.deepEqual(pairs, [
+      [0, 1],
+      [2, 3],
+    ]);
+    assert.deepEqual(
+      merges.slice(2).map(({ left, right, size }) => [left, right, size]),
+      [
+        [5, 6, 4],
+        [4, 7, 5],
+      ]
+    );
+  });
+
+  it("orders the leaves so that clusters stay together", () => {
+    const { merges, order } = hierarchicalClustering(points, 5, 1);
+    assert.deepEqual(Array.from(order), [4, 0, 1, 2, 3]);
+    assert.deepEqual(getLeafOrder(merges, 5), order);
+  });
+
+  it("handles fewer than two vectors", () => {
+    assert.deepEqual(hierarchicalClustering(points, 1, 1).merges, []);
+    assert.deepEqual(Array.from(getLeafOrder([], 1)), [0]);
+  });
+
+  it("rejects unknown linkages and ward without the euclidean metric", () => {
+    assert.throws(() =>
+      hierarchicalClustering(points, 5, 1, { linkage: "centroid" })
+    );
+    assert.throws(() =>
+      hierarchicalClustering(points, 5, 1, {
+        linkage: "ward",
+        metric: "manhattan",
+      })
+    );
+  });
+});
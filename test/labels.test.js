@@ -0,0 +1,154 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  formatLabels,
+  getLabelStride,
+  matchLabels,
+  prepareLabelLayout,
+} from "../src/labels.js";
+
+describe("prepareLabelLayout", () => {
+  it("fills in the defaults and keeps the listed labels as a set", () => {
+    assert.deepEqual(prepareLabelLayout({}), {
+      mode: "auto",
+      every: 1,
+      labels: new Set(),
+    });
+    const { labels } = prepareLabelLayout({
+      mode: "list",
+      labels: ["TP53", 3],
+    });
+    assert.ok(labels.has("TP53") && labels.has(3));
+  });
+
+  it("rejects unknown modes, strides and label lists", () => {
+    assert.throws(() => prepareLabelLayout({ mode: "some" }));
+    assert.throws(() => prepareLabelLayout({ mode: "nth", every: 0 }));
+    assert.throws(() => prepareLabelLayout({ mode: "nth", every: 1.5 }));
+    assert.throws(() => prepareLabelLayout({ mode: "list", labels: "TP53" }));
+  });
+});
+
+describe("getLabelStride", () => {
+  it("shows every label when the cells leave enough room", () => {
+    assert.equal(getLabelStride(12, 12), 1);
+    assert.equal(getLabelStride(12, 20), 1);
+  });
+
+  it("skips labels by powers of two when the cells are too small", () => {
+    assert.equal(getLabelStride(12, 6), 2);
+    assert.equal(getLabelStride(12, 5), 4);
+    assert.equal(getLabelStride(12, 1), 16);
+  });
+
+  it("shows every label when the cell size is unknown", () => {
+    assert.equal(getLabelStride(12, 0), 1);
+    assert.equal(getLabelStride(12, NaN), 1);
+  });
+});
+
+describe("matchLabels", () => {
+  const labels = ["TP53", "ATP5", "tp5", "XTPY5", "BRCA1"];
+
+  it("finds labels equal to the query, ignoring case and spaces", () => {
+    assert.deepEqual(matchLabels(labels, " TP5 ", false), [2]);
+    assert.deepEqual(matchLabels(labels, "tp", false), []);
+  });
+
+  it("ranks fuzzy matches: equal, prefix, substring, then subsequence", () => {
+    assert.deepEqual(matchLabels(labels, "tp5", true), [2, 0, 1, 3]);
+  });
+
+  it("finds nothing for an empty query or without labels", () => {
+    assert.deepEqual(matchLabels(labels, "  ", true), []);
+    assert.deepEqual(matchLabels(null, "tp5", true), []);
+  });
+});
+
+describe("formatLabels", () => {
+  const options = { axis: "row", order: [2, 0, 1], maxCharacters: 10 };
+
+  // text is measured on a canvas, here 10px per character
+  before(() => {
+    globalThis.document = {
+      body: {},
+      createElement: () => ({
+        getContext: () => ({
+          measureText: (text) => ({ width: 10 * text.length }),
+        }),
+      }),
+    };
+    globalThis.window = { getComputedStyle: () => ({ fontFamily: "serif" }) };
+  });
+  after(() => {
+    delete globalThis.document;
+    delete globalThis.window;
+  });
+
+  it("truncates labels longer than maxCharacters", () => {
+    const formatted = formatLabels(["TP53", "a long gene name", null], options);
+    assert.deepEqual(
+      formatted.map(({ fullText, text }) => [fullText, text]),
+      [
+        ["TP53", "TP53"],
+        ["a long gene name", "a long ..."],
+        ["null", "null"],
+      ]
+    );
+  });
+
+  it("passes the label, its index in input order and the axis to the hooks", () => {
+    const calls = [];
+    const formatted = formatLabels(["a", "b", "c"], {
+      ...options,
+      formatter: (label, index, axis) => {
+        calls.push([label, index, axis]);
+        return index === 1 ? null : label.toUpperCase();
+      },
+      style: (label) => ({
+        fill: label === "a" ? "red" : "black",
+        x: 5,
+        text: "x",
+      }),
+    });
+
+    assert.deepEqual(calls, [
+      ["a", 2, "row"],
+      ["b", 0, "row"],
+      ["c", 1, "row"],
+    ]);
+    assert.deepEqual(
+      formatted.map(({ text }) => text),
+      ["A", "B", ""]
+    );
+    // the style can not move the label or change its text
+    assert.deepEqual(formatted[0].style, { fill: "red" });
+  });
+
+  it("truncates labels wider than maxWidth with an ellipsis", () => {
+    const formatted = formatLabels(["TP53", "BRCA1", "MYC"], {
+      ...options,
+      maxWidth: 40,
+      fontSize: "12px",
+    });
+    assert.deepEqual(
+      formatted.map(({ text }) => text),
+      ["TP53", "BRC…", "MYC"]
+    );
+  });
+
+  it("truncates labels to maxWidth only, with a single ellipsis", () => {
+    const formatted = formatLabels(
+      ["a long gene name", "short", "a gene name"],
+      {
+        ...options,
+        maxWidth: 110,
+      }
+    );
+    // longer than maxCharacters, but as wide as allowed
+    assert.deepEqual(
+      formatted.map(({ text }) => text),
+      ["a long gen…", "short", "a gene name"]
+    );
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { linkPlots } from "../src/linkPlots.js";
+
+// a plot of `nrows` x `ncols` cells spanning [-1, 1] along both axes, rows
+// from the top
+const createPlot = ({
+  nrows = 2,
+  ncols = 4,
+  xlabels = null,
+  crosshairEnabled = true,
+} = {}) => {
+  const x = [];
+  const y = [];
+  for (let row = 0; row < nrows; row++) {
+    for (let column = 0; column < ncols; column++) {
+      x.push(column);
+      y.push(row);
+    }
+  }
+
+  const handlers = {};
+  const length = (axis) => (axis === "row" ? nrows : ncols);
+
+  return {
+    _spec: {},
+    input: { x, y, xlabels },
+    viewport: { xRange: [-1, 1], yRange: [-1, 1] },
+    crosshairEnabled,
+    crosshairs: [],
+    elem: {
+      addEventListener: (type, listener) => (handlers[type] = listener),
+      removeEventListener: (type) => delete handlers[type],
+    },
+    on(event, handler) {
+      handlers[event] = handler;
+      return () => delete handlers[event];
+    },
+    emit: (event, data) => handlers[event] && handlers[event](data),
+    _getOrder: (axis) => Array.from({ length: length(axis) }, (_, i) => i),
+    _getAxisToPositionScale: (axis) => (v) =>
+      axis === "row"
+        ? ((1 - v) / 2) * length(axis)
+        : ((v + 1) / 2) * length(axis),
+    _getPositionToAxisScale: (axis) => (p) =>
+      axis === "row" ? 1 - (2 * p) / length(axis) : -1 + (2 * p) / length(axis),
+    _constrainViewport: (viewport) => viewport,
+    _setViewport(viewport) {
+      this.viewport = viewport;
+    },
+    _setCrosshair(crosshair) {
+      this.crosshairs.push(crosshair);
+    },
+  };
+};
+
+describe("linkPlots", () => {
+  it("rejects invalid options", () => {
+    assert.throws(() => linkPlots([createPlot()]));
+    assert.throws(() =>
+      linkPlots([createPlot(), createPlot()], { viewport: "z" })
+    );
+    assert.throws(() =>
+      linkPlots([createPlot(), createPlot()], { mapping: "id" })
+    );
+  });
+
+  it("maps the visible columns by their position", () => {
+    const source = createPlot();
+    const target = createPlot({ ncols: 8 });
+    linkPlots([source, target], { viewport: "x" });
+
+    // columns 1 and 2 of the source, and half of column 3
+    source.emit("viewportChange", { xRange: [-0.5, 0.75], yRange: [0, 1] });
+
+    // same columns of the target, which has narrower columns
+    assert.deepEqual(target.viewport.xRange, [-0.75, -0.125]);
+    // the y axis is not linked
+    assert.deepEqual(target.viewport.yRange, [-1, 1]);
+  });
+
+  it("maps the visible columns by their labels", () => {
+    const source = createPlot({ xlabels: ["a", "b", "c", "d"] });
+    const target = createPlot({ xlabels: ["d", "c", "b", "a"] });
+    linkPlots([source, target], { viewport: "x", mapping: "label" });
+
+    // columns a and b, shown last in the target
+    source.emit("viewportChange", { xRange: [-1, 0], yRange: [-1, 1] });
+    assert.deepEqual(target.viewport.xRange, [0, 1]);
+  });
+
+  it("keeps the current range without matching rows/columns", () => {
+    const source = createPlot({ xlabels: ["a", "b", "c", "d"] });
+    const target = createPlot({ xlabels: ["e", "f", "g", "h"] });
+    linkPlots([source, target], { mapping: "label" });
+
+    source.emit("viewportChange", { xRange: [-1, 0], yRange: [0, 1] });
+    // neither the columns nor the unlabeled rows match
+    assert.deepEqual(target.viewport, { xRange: [-1, 1], yRange: [-1, 1] });
+  });
+
+  it("constrains the viewport of the target", () => {
+    const source = createPlot();
+    const target = createPlot();
+    // e.g. only zooming along x
+    target._constrainViewport = ({ xRange }) => ({ xRange, yRange: [-1, 1] });
+    linkPlots([source, target]);
+
+    source.emit("viewportChange", { xRange: [-1, 0], yRange: [0, 1] });
+    assert.deepEqual(target.viewport, { xRange: [-1, 0], yRange: [-1, 1] });
+  });
+
+  it("does not forward changes applied through the link", () => {
+    const source = createPlot();
+    const target = createPlot();
+    let calls = 0;
+    target._setViewport = function (viewport) {
+      calls++;
+      this.viewport = viewport;
+      this.emit("viewportChange", viewport);
+    };
+    linkPlots([source, target]);
+
+    source.emit("viewportChange", { xRange: [-1, 0], yRange: [0, 1] });
+    assert.equal(calls, 1);
+    assert.deepEqual(source.viewport, { xRange: [-1, 1], yRange: [-1, 1] });
+  });
+
+  it("forwards the crosshair to the plots that enabled it", () => {
+    const source = createPlot();
+    const target = createPlot();
+    const disabled = createPlot({ crosshairEnabled: false });
+    linkPlots([source, target, disabled]);
+
+    // cell at row 1, column 2
+    source.emit("hover", { indices: [6] });
+    source.emit("mouseleave");
+
+    assert.deepEqual(target.crosshairs, [{ row: 1, column: 2 }, null]);
+    assert.deepEqual(disabled.crosshairs, []);
+  });
+
+  it("stops syncing once unlinked", () => {
+    const source = createPlot();
+    const target = createPlot();
+    const unlink = linkPlots([source, target]);
+    unlink();
+
+    source.emit("viewportChange", { xRange: [-1, 0], yRange: [0, 1] });
+    source.emit("hover", { indices: [0] });
+    assert.deepEqual(target.viewport, { xRange: [-1, 1], yRange: [-1, 1] });
+    assert.deepEqual(target.crosshairs, []);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { getMatrixCoordinates, parseDenseMatrix } from "../src/matrix.js";
+
+describe("parseDenseMatrix", () => {
+  it("flattens a nested array in row-major order", () => {
+    const { values, nrows, ncols, order } = parseDenseMatrix({
+      values: [
+        [1, 2, 3],
+        [4, 5, 6],
+      ],
+    });
+
+    assert.deepEqual(Array.from(values), [1, 2, 3, 4, 5, 6]);
+    assert.equal(nrows, 2);
+    assert.equal(ncols, 3);
+    assert.equal(order, "row-major");
+  });
+
+  it("uses a flat array as-is", () => {
+    const values = new Float32Array([1, 2, 3, 4]);
+    const matrix = parseDenseMatrix({
+      values,
+      nrows: 2,
+      ncols: 2,
+      order: "column-major",
+    });
+
+    assert.equal(matrix.values, values);
+    assert.equal(matrix.order, "column-major");
+  });
+
+  it("rejects ragged rows and mismatched dimensions", () => {
+    assert.throws(() => parseDenseMatrix({ values: [[1, 2], [3]] }));
+    assert.throws(() =>
+      parseDenseMatrix({ values: [1, 2, 3], nrows: 2, ncols: 2 })
+    );
+    assert.throws(() => parseDenseMatrix({ values: [1, 2, 3, 4] }));
+    assert.throws(() =>
+      parseDenseMatrix({
+        values: [1, 2],
+        nrows: 1,
+        ncols: 2,
+        order: "diagonal",
+      })
+    );
+  });
+});
+
+describe("getMatrixCoordinates", () => {
+  it("follows the order of the values", () => {
+    const rowMajor = getMatrixCoordinates(2, 3);
+    assert.deepEqual(Array.from(rowMajor.x), [0, 1, 2, 0, 1, 2]);
+    assert.deepEqual(Array.from(rowMajor.y), [0, 0, 0, 1, 1, 1]);
+
+    const columnMajor = getMatrixCoordinates(2, 3, "column-major");
+    assert.deepEqual(Array.from(columnMajor.x), [0, 0, 1, 1, 2, 2]);
+    assert.deepEqual(Array.from(columnMajor.y), [0, 1, 0, 1, 0, 1]);
+  });
+
+  it("uses 16 bits per coordinate when they fit", () => {
+    assert.ok(getMatrixCoordinates(2, 3).x instanceof Uint16Array);
+    assert.ok(getMatrixCoordinates(0x10000, 1).y instanceof Uint16Array);
+    assert.ok(getMatrixCoordinates(1, 0x10001).x instanceof Uint32Array);
+  });
+});
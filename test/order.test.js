@@ -0,0 +1,113 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  getGridLayout,
+  getPositions,
+  invertOrder,
+  moveCoordinates,
+  moveToBoundary,
+  sortOrder,
+  toCurrentOrder,
+} from "../src/order.js";
+
+describe("invertOrder", () => {
+  it("returns the new position of each current position", () => {
+    assert.deepEqual(Array.from(invertOrder([2, 0, 1], 3, "row")), [1, 2, 0]);
+    assert.deepEqual(Array.from(getPositions([2, 0, 1])), [1, 2, 0]);
+  });
+
+  it("rejects orders that are not permutations", () => {
+    assert.throws(() => invertOrder([0, 1], 3, "row"));
+    assert.throws(() => invertOrder([0, 0, 1], 3, "row"));
+    assert.throws(() => invertOrder([0, 1, 3], 3, "column"));
+    assert.throws(() => invertOrder([0, 1.5, 2], 3, "column"));
+    assert.throws(() => invertOrder(null, 0, "row"));
+  });
+});
+
+describe("toCurrentOrder", () => {
+  it("maps original positions to the positions as displayed", () => {
+    // displayed: original 2, then 0, then 1
+    assert.deepEqual(toCurrentOrder([0, 1, 2], [2, 0, 1]), [1, 2, 0]);
+  });
+
+  it("keeps unknown positions so the reordering is rejected", () => {
+    const order = toCurrentOrder([0, 1, 5], [0, 1, 2]);
+    assert.throws(() => invertOrder(order, 3, "row"));
+  });
+});
+
+describe("moveCoordinates", () => {
+  it("moves the cells with their row/column, keeping the array type", () => {
+    const moved = moveCoordinates(
+      new Uint16Array([0, 1, 2, 0]),
+      invertOrder([2, 0, 1], 3, "row")
+    );
+    assert.ok(moved instanceof Uint16Array);
+    assert.deepEqual(Array.from(moved), [1, 2, 0, 1]);
+    assert.ok(moveCoordinates([0, 1], [1, 0]) instanceof Uint32Array);
+  });
+});
+
+describe("sortOrder", () => {
+  const values = { a: 3, b: NaN, c: 1, d: 3 };
+
+  it("sorts by value, missing values last and ties in their order", () => {
+    const valueOf = (key) => values[key];
+    assert.deepEqual(sortOrder(["a", "b", "c", "d"], valueOf, "ascending"), [
+      "c",
+      "a",
+      "d",
+      "b",
+    ]);
+    assert.deepEqual(sortOrder(["d", "b", "c", "a"], valueOf, "descending"), [
+      "d",
+      "a",
+      "c",
+      "b",
+    ]);
+  });
+});
+
+describe("getGridLayout", () => {
+  it("gives each row/column a slot without panels", () => {
+    const { slots, total, panels } = getGridLayout([0, 1, 2], null, 1);
+    assert.deepEqual(Array.from(slots), [0, 1, 2]);
+    assert.equal(total, 3);
+    assert.deepEqual(panels, [{ panel: 0, start: 0, end: 2 }]);
+  });
+
+  it("leaves gaps between panels, in display order", () => {
+    // original positions 0 and 2 in panel 1, 1 and 3 in panel 0
+    const panelOf = [1, 0, 1, 0];
+    const { slots, total, panels } = getGridLayout([1, 3, 0, 2], panelOf, 0.5);
+    assert.deepEqual(Array.from(slots), [0, 1, 2.5, 3.5]);
+    assert.equal(total, 4.5);
+    assert.deepEqual(panels, [
+      { panel: 0, start: 0, end: 1 },
+      { panel: 1, start: 2, end: 3 },
+    ]);
+  });
+});
+
+describe("moveToBoundary", () => {
+  it("moves a row/column down or up to a boundary", () => {
+    assert.deepEqual(moveToBoundary([10, 11, 12, 13], 0, 3), {
+      order: [11, 12, 10, 13],
+      position: 2,
+    });
+    assert.deepEqual(moveToBoundary([10, 11, 12, 13], 3, 0), {
+      order: [13, 10, 11, 12],
+      position: 0,
+    });
+    assert.deepEqual(moveToBoundary([10, 11, 12, 13], 1, 4), {
+      order: [10, 12, 13, 11],
+      position: 3,
+    });
+  });
+
+  it("does nothing when dropped next to itself", () => {
+    assert.equal(moveToBoundary([10, 11, 12], 1, 1), null);
+    assert.equal(moveToBoundary([10, 11, 12], 1, 2), null);
+  });
+});
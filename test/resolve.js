@@ -0,0 +1,14 @@
+/**
+ * Source modules import each other without the `.js` extension, as rollup
+ * resolves them. Resolve these imports the same way when running the tests.
+ */
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (specifier.startsWith(".") && !specifier.endsWith(".js")) {
+      return nextResolve(`${specifier}.js`, context);
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,71 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseSparseMatrix } from "../src/matrix.js";
+
+// [[1, 0, 2],
+//  [0, 0, 3]]
+const expected = { x: [0, 2, 2], y: [0, 0, 1], values: [1, 2, 3] };
+
+const plain = ({ x, y, values }) => ({
+  x: Array.from(x),
+  y: Array.from(y),
+  values: Array.from(values),
+});
+
+describe("parseSparseMatrix", () => {
+  it("reads coo, csr and csc matrices", () => {
+    const coo = parseSparseMatrix({
+      nrows: 2,
+      ncols: 3,
+      data: [1, 2, 3],
+      row: [0, 0, 1],
+      col: [0, 2, 2],
+    });
+    const csr = parseSparseMatrix({
+      format: "csr",
+      nrows: 2,
+      ncols: 3,
+      data: [1, 2, 3],
+      indices: [0, 2, 2],
+      indptr: [0, 2, 3],
+    });
+    const csc = parseSparseMatrix({
+      format: "csc",
+      nrows: 2,
+      ncols: 3,
+      data: [1, 2, 3],
+      indices: [0, 0, 1],
+      indptr: [0, 1, 1, 3],
+    });
+
+    assert.deepEqual(plain(coo), expected);
+    assert.deepEqual(plain(csr), expected);
+    assert.deepEqual(plain(csc), expected);
+  });
+
+  it("keeps explicitly stored zeros, so indices match the stored cells", () => {
+    const matrix = parseSparseMatrix({
+      nrows: 2,
+      ncols: 3,
+      data: [1, 0, 2, 3],
+      row: [0, 1, 0, 1],
+      col: [0, 0, 2, 2],
+    });
+
+    assert.deepEqual(plain(matrix), {
+      x: [0, 0, 2, 2],
+      y: [0, 1, 0, 1],
+      values: [1, 0, 2, 3],
+    });
+  });
+
+  it("rejects cells outside of the matrix and unknown formats", () => {
+    assert.throws(() =>
+      parseSparseMatrix({ nrows: 1, ncols: 1, data: [1], row: [0], col: [1] })
+    );
+    assert.throws(() =>
+      parseSparseMatrix({ format: "dia", nrows: 1, ncols: 1, data: [1] })
+    );
+    assert.throws(() => parseSparseMatrix({ nrows: 1, data: [1] }));
+  });
+});
@@ -0,0 +1,13 @@
+import { readdirSync } from "node:fs";
+import { register } from "node:module";
+
+register("./resolve.js", import.meta.url);
+
+// every `*.test.js` file next to this one, run with `node:test`
+const files = readdirSync(new URL(".", import.meta.url))
+  .filter((file) => file.endsWith(".test.js"))
+  .sort();
+
+for (const file of files) {
+  await import(`./${file}`);
+}
@@ -0,0 +1,16 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { colorToHex, packedColorToHex } from "../src/utils.js";
+
+describe("packedColorToHex", () => {
+  it("converts packed colors back to css hex colors", () => {
+    assert.equal(packedColorToHex(colorToHex("rgb(49, 130, 189)")), "#3182bd");
+    assert.equal(packedColorToHex(0x0000ff), "#0000ff");
+    assert.equal(packedColorToHex(0), "#000000");
+  });
+
+  it("returns other colors as they are", () => {
+    assert.equal(packedColorToHex("red"), "red");
+    assert.equal(packedColorToHex(undefined), undefined);
+  });
+});
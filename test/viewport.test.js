@@ -0,0 +1,94 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { clampRange, constrainViewport } from "../src/viewport.js";
+
+describe("clampRange", () => {
+  it("keeps the range within the plot", () => {
+    assert.deepEqual(
+      clampRange([-2, 0.5], [-1, 1], [-1, 1], "xRange"),
+      [-1, 0.5]
+    );
+    assert.deepEqual(
+      clampRange(new Float32Array([0, 3]), [-1, 1], [-1, 1], "xRange"),
+      [0, 1]
+    );
+  });
+
+  it("uses the current range when missing", () => {
+    const current = [-0.5, 0.5];
+    const range = clampRange(undefined, current, [-1, 1], "yRange");
+    assert.deepEqual(range, current);
+    assert.notEqual(range, current);
+    assert.deepEqual(clampRange(null, current, [-1, 1], "yRange"), current);
+  });
+
+  it("rejects invalid ranges", () => {
+    for (const range of [
+      [0],
+      [1, 0],
+      [0, 0],
+      [0, NaN],
+      "0,1",
+      { 0: 0, 1: 1 },
+    ]) {
+      assert.throws(
+        () => clampRange(range, [-1, 1], [-1, 1], "xRange"),
+        /xRange needs to be an increasing range/
+      );
+    }
+  });
+});
+
+describe("constrainViewport", () => {
+  const view = {
+    minX: -1,
+    maxX: 1,
+    minY: -1,
+    maxY: 1,
+    xRange: [-0.5, 0.5],
+    yRange: [0, 1],
+  };
+
+  it("keeps the current ranges when missing", () => {
+    assert.deepEqual(constrainViewport({}, view, {}), {
+      xRange: [-0.5, 0.5],
+      yRange: [0, 1],
+    });
+  });
+
+  it("keeps the range of locked axes", () => {
+    const viewport = { xRange: [-1, -0.5], yRange: [-1, -0.5] };
+    assert.deepEqual(constrainViewport(viewport, view, { axis: "x" }), {
+      xRange: [-1, -0.5],
+      yRange: [0, 1],
+    });
+    assert.deepEqual(constrainViewport(viewport, view, { axis: "y" }), {
+      xRange: [-0.5, 0.5],
+      yRange: [-1, -0.5],
+    });
+  });
+
+  it("resizes ranges around their center within the zoom limits", () => {
+    // at most a tenth of the plot, at least half of it
+    const zoomOptions = { minZoom: 2, maxZoom: 10 };
+    const { xRange, yRange } = constrainViewport(
+      { xRange: [0, 0.1], yRange: [-1, 1] },
+      view,
+      zoomOptions
+    );
+    assert.deepEqual(
+      xRange.map((v) => +v.toFixed(6)),
+      [-0.05, 0.15]
+    );
+    assert.deepEqual(yRange, [-0.5, 0.5]);
+  });
+
+  it("moves ranges back within the plot with clampToData", () => {
+    const viewport = { xRange: [-1.5, -0.5], yRange: [0.5, 1.5] };
+    assert.deepEqual(constrainViewport(viewport, view, {}), viewport);
+    assert.deepEqual(constrainViewport(viewport, view, { clampToData: true }), {
+      xRange: [-1, 0],
+      yRange: [0, 1],
+    });
+  });
+});